@@ -0,0 +1,114 @@
+/**
+ * Search the write log history
+ *
+ * Run: node audit-log.js [--entity bills] [--vendor "valk"] [--ref 312094] [--status error]
+ *                        [--action create] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--days 7] [--json]
+ *      node audit-log.js backfill
+ * Reads logs/index.jsonl (one line per write, see lib/log-index.js). `backfill`
+ * indexes log files written before the index existed; it is safe to re-run.
+ * --vendor matches the vendor, payee or customer ID or part of its name.
+ */
+
+const { LOGS_DIR } = require('./lib/logger');
+const { readIndex, backfillIndex, queryIndex, summarizeIndex } = require('./lib/log-index');
+
+const FLAGS = {
+  '--entity': 'entity',
+  '--vendor': 'party',
+  '--ref': 'refNumber',
+  '--status': 'status',
+  '--action': 'action',
+  '--from': 'from',
+  '--to': 'to'
+};
+
+function parseArgs(argv) {
+  const args = { filters: {}, days: null, json: false, backfill: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (FLAGS[argv[i]]) args.filters[FLAGS[argv[i]]] = argv[++i];
+    else if (argv[i] === '--days') args.days = parseInt(argv[++i], 10);
+    else if (argv[i] === '--json') args.json = true;
+    else if (argv[i] === 'backfill') args.backfill = true;
+    else throw new Error(`Unknown argument ${argv[i]}`);
+  }
+  if (args.days) {
+    args.filters.from = new Date(Date.now() - args.days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  }
+  return args;
+}
+
+function money(value) {
+  return value === null || value === undefined ? '' : `$${value.toFixed(2)}`;
+}
+
+function runBackfill() {
+  const { added, skipped } = backfillIndex(LOGS_DIR);
+  console.log(`Indexed ${added} log file(s) into ${LOGS_DIR}/index.jsonl`);
+  skipped.forEach(({ file, error }) => console.log(`  SKIPPED ${file}: ${error}`));
+}
+
+function printLines(lines) {
+  lines.forEach(line => {
+    const when = line.timestamp.replace('T', ' ').slice(0, 16);
+    const party = line.partyName || line.partyId || '';
+    console.log(
+      `${when}  ${String(line.status || '-').padEnd(9)} ${String(line.action || '-').padEnd(6)} ${String(line.entity || '-').padEnd(19)} ` +
+      `${String(line.refNumber || '-').padEnd(14)} ${party.padEnd(30)} ${money(line.amount).padStart(10)}`
+    );
+    if (line.error) console.log(`    ${line.error}`);
+    if (line.undoOf) console.log(`    undoes ${line.undoOf}`);
+  });
+}
+
+function printSummary(summary) {
+  console.log('');
+  console.log(`${summary.count} write(s): ` + Object.entries(summary.byStatus).map(([status, n]) => `${n} ${status}`).join(', '));
+  Object.entries(summary.byEntity).forEach(([entity, { count, amount }]) => {
+    console.log(`  ${entity.padEnd(20)} ${String(count).padStart(4)} written   ${money(amount).padStart(12)} created`);
+  });
+  if (Object.keys(summary.byEntity).length > 1) {
+    console.log(`  ${'total'.padEnd(20)} ${' '.repeat(4)}           ${money(summary.amount).padStart(12)}`);
+  }
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    console.error('Usage: node audit-log.js [--entity] [--vendor] [--ref] [--status] [--action] [--from] [--to] [--days] [--json] | backfill');
+    process.exit(1);
+  }
+
+  if (args.backfill) {
+    runBackfill();
+    return;
+  }
+
+  const index = readIndex(LOGS_DIR);
+  if (index.length === 0) {
+    console.error('ERROR: logs/index.jsonl is empty or missing - run "node audit-log.js backfill" first');
+    process.exit(1);
+  }
+
+  const lines = queryIndex(index, args.filters);
+  const summary = summarizeIndex(lines);
+
+  if (args.json) {
+    console.log(JSON.stringify({ filters: args.filters, summary, lines }, null, 2));
+    return;
+  }
+
+  console.log('='.repeat(60));
+  console.log('Write Log Search');
+  console.log('='.repeat(60));
+  const described = Object.entries(args.filters).map(([key, value]) => `${key}=${value}`).join(' ');
+  console.log(described ? `Filters: ${described}` : 'All writes');
+  console.log('');
+
+  printLines(lines);
+  printSummary(summary);
+}
+
+main();
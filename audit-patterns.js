@@ -0,0 +1,69 @@
+/**
+ * Check dataPatterns against the live QuickBooks company file
+ *
+ * Run: node audit-patterns.js [--days 90] [--json]
+ * Reports pattern IDs that no longer exist, are inactive or were renamed, and
+ * items vendors' recent bills/charges used that their pattern does not list.
+ * Read-only. Exits with code 1 when anything has drifted.
+ */
+
+const ConductorClient = require('./conductor-client');
+const { auditPatterns } = require('./lib/pattern-audit');
+
+function printFindings(title, findings, describe) {
+  if (findings.length === 0) return;
+  console.log(`${title} (${findings.length}):`);
+  findings.forEach(finding => {
+    console.log(`  ${describe(finding)}`);
+    const locations = finding.locations || [];
+    locations.slice(0, 5).forEach(location => console.log(`      ${location}`));
+    if (locations.length > 5) console.log(`      ... and ${locations.length - 5} more`);
+  });
+  console.log('');
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const days = argv.includes('--days') ? parseInt(argv[argv.indexOf('--days') + 1], 10) : 90;
+  const json = argv.includes('--json');
+
+  try {
+    const client = new ConductorClient();
+    const report = await auditPatterns(client, { days });
+
+    if (json) {
+      console.log(JSON.stringify(report, null, 2));
+      process.exit(report.clean ? 0 : 1);
+    }
+
+    console.log('='.repeat(60));
+    console.log('Pattern Drift Audit');
+    console.log('='.repeat(60));
+    console.log('');
+    console.log(`${report.checked} ID(s) checked; transactions since ${report.since}`);
+    console.log('');
+
+    printFindings('MISSING - not in QuickBooks', report.missing, f => `${f.id} ${f.patternName || ''}`);
+    printFindings('INACTIVE', report.inactive, f => `${f.id} ${f.liveName} (${f.resource})`);
+    printFindings('RENAMED', report.renamed, f => `${f.id} "${f.patternName}" is now "${f.liveName}"`);
+
+    if (report.unlistedItems.length > 0) {
+      console.log(`ITEMS NOT IN PATTERN (${report.unlistedItems.length} vendor(s)):`);
+      report.unlistedItems.forEach(vendor => {
+        console.log(`  ${vendor.file} (${vendor.vendorName}, ${vendor.transactions} transaction(s))`);
+        vendor.items.forEach(item => {
+          console.log(`      ${item.count} x ${item.name} (${item.id}) e.g. #${item.refNumbers.slice(0, 3).join(', #')}`);
+        });
+      });
+      console.log('');
+    }
+
+    console.log(report.clean ? 'No drift found' : 'Drift found - update the pattern files above');
+    process.exit(report.clean ? 0 : 1);
+  } catch (error) {
+    console.error('ERROR:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,126 @@
+/**
+ * Post a batch of bills and credit card charges
+ *
+ * Run: node batch.js <batch.json> [--yes] [--dry-run] [--concurrency 3]
+ * Plans every item first (vendor pattern, duplicate in QuickBooks or in the file,
+ * business rules, open PO), prints the plan and asks before posting exactly that
+ * plan. --yes answers the question for scripts; --dry-run runs the same requests
+ * as previews. Ready items are posted a few at a time (bills through
+ * createBillFromInvoice, so they are linked to their PO), blocked or failing
+ * items do not stop the rest. The list cache is synced once afterwards. The
+ * applied batch is written to logs/batches/ with the log file of every write.
+ *
+ * batch.json: [{ "type": "bill", "poNumber": "1050", "payload": { ...createBill payload } }, ...]
+ */
+
+const readline = require('readline');
+const ConductorClient = require('./conductor-client');
+const { DEFAULT_CONCURRENCY, loadBatch, planBatch, applyPlan, writeBatchReport } = require('./lib/batch');
+
+function parseArgs(argv) {
+  const args = { file: null, yes: false, dryRun: false, concurrency: DEFAULT_CONCURRENCY };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--yes') args.yes = true;
+    else if (argv[i] === '--dry-run') args.dryRun = true;
+    else if (argv[i] === '--concurrency') args.concurrency = parseInt(argv[++i], 10);
+    else args.file = argv[i];
+  }
+  return args;
+}
+
+function printPlan(plan) {
+  console.log(`${'#'.padStart(3)}  ${'Type'.padEnd(7)} ${'Vendor'.padEnd(30)} ${'Ref'.padEnd(16)} ${'Amount'.padStart(10)}  Status`);
+  plan.items.forEach(entry => {
+    const type = entry.type === 'credit_card_charge' ? 'charge' : entry.type;
+    console.log(
+      `${String(entry.index + 1).padStart(3)}  ${type.padEnd(7)} ${String(entry.vendorName || entry.vendorId || '-').slice(0, 30).padEnd(30)} ` +
+      `${String(entry.refNumber || '-').padEnd(16)} ${`$${entry.amount.toFixed(2)}`.padStart(10)}  ${entry.status.toUpperCase()}`
+    );
+    entry.issues.forEach(issue => console.log(`       ISSUE: ${issue}`));
+    entry.notes.forEach(note => console.log(`       ${note}`));
+  });
+  const { total, ready, blocked, amount } = plan.summary;
+  console.log('');
+  console.log(`${total} item(s): ${ready} ready ($${amount.toFixed(2)} before tax), ${blocked} blocked`);
+}
+
+// Resources a posted batch changes (bills receive against POs)
+const SYNC_AFTER_APPLY = ['bills', 'credit-card-charges', 'purchase-orders'];
+
+function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => {
+    rl.question(question, answer => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file || !(args.concurrency > 0)) {
+    console.error('Usage: node batch.js <batch.json> [--yes] [--dry-run] [--concurrency 3]');
+    process.exit(1);
+  }
+
+  console.log('='.repeat(60));
+  console.log(`Batch: ${args.file}${args.dryRun ? ' (dry run)' : ''}`);
+  console.log('='.repeat(60));
+  console.log('');
+
+  try {
+    const items = loadBatch(args.file);
+    const client = new ConductorClient();
+    const plan = await planBatch(client, items);
+    printPlan(plan);
+    console.log('');
+
+    if (plan.summary.ready === 0) {
+      console.log('Nothing to post');
+      if (args.yes || args.dryRun) process.exit(1);
+      return;
+    }
+    if (!args.yes && !args.dryRun) {
+      if (!process.stdin.isTTY) {
+        console.log('Nothing posted - run in a terminal to confirm the plan, or pass --yes (or --dry-run to preview)');
+        return;
+      }
+      const question = `Post the ${plan.summary.ready} ready item(s) above ($${plan.summary.amount.toFixed(2)} before tax)? [y/N] `;
+      if (!await confirm(question)) {
+        console.log('Nothing posted');
+        return;
+      }
+      console.log('');
+    }
+
+    const results = await applyPlan(plan, {
+      createClient: options => new ConductorClient(undefined, undefined, options),
+      concurrency: args.concurrency,
+      dryRun: args.dryRun
+    });
+    const reportFile = writeBatchReport({ source: args.file, plan, results, dryRun: args.dryRun, concurrency: args.concurrency });
+
+    // The item clients leave the cache alone (they run side by side); catch it up once here
+    if (!args.dryRun && client.useCache) {
+      try {
+        await client.syncCache(SYNC_AFTER_APPLY);
+      } catch (error) {
+        console.warn(`[CACHE] WARNING: could not sync after the batch (${error.message}) - the next read will`);
+      }
+    }
+
+    const failed = results.filter(r => r.status === 'failed');
+    console.log('');
+    failed.forEach(r => console.log(`  FAILED ${r.index + 1}: ${r.error.message.split('\n')[0]}`));
+    console.log(`${results.filter(r => r.status === 'posted' || r.status === 'dry_run').length} ${args.dryRun ? 'previewed' : 'posted'}, ` +
+      `${failed.length} failed, ${plan.summary.blocked} blocked`);
+    console.log(`Report: ${reportFile}`);
+    if (failed.length > 0) process.exit(1);
+  } catch (error) {
+    console.error('ERROR:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
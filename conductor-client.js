@@ -6,63 +6,234 @@
  */
 
 require('dotenv').config();
-const fs = require('fs');
-const path = require('path');
 const { logWriteAction } = require('./lib/logger');
+const { loadPatterns, findPattern, formatPatternError } = require('./lib/pattern-loader');
+const { enforceRules, applyRules } = require('./lib/rule-engine');
+const { TRANSIENT_ERROR_CODES, isTransientFailure, backoffDelay, sleep } = require('./lib/retry');
+const { matchPurchaseOrder, formatMatchReport, isVerbal } = require('./lib/po-matcher');
+const { buildCandidates, matchVendor } = require('./lib/vendor-matcher');
+const { parseSequential, nextInSequence } = require('./lib/ref-numbers');
+const { poSettings, buildPONumber, validatePONumber, buildPurchaseOrder, findDuplicateOpenPO } = require('./lib/po-builder');
+const { findTargetLog, buildUndoPlan } = require('./lib/undo');
+const listCache = require('./lib/list-cache');
+const {
+  ConductorError,
+  AuthenticationError,
+  EndUserNotConnectedError,
+  QuickBooksNotRunningError,
+  NetworkError,
+  RateLimitError,
+  IntegrationError,
+  PatternError,
+  DuplicateTransactionError,
+  BusinessRuleError,
+  POMatchError,
+  NotFoundError,
+  UndoError,
+  errorFromResponse
+} = require('./lib/errors');
 
 const API_BASE = 'https://api.conductor.is/v1';
-const DATA_PATTERNS_DIR = path.join(__dirname, 'dataPatterns');
+
+// Failures that mean QuickBooks can't be reached right now - reads fall back to the cache.
+// IntegrationError is QuickBooks answering with a rejection, so it is not one of them
+const OFFLINE_ERRORS = [EndUserNotConnectedError, QuickBooksNotRunningError, NetworkError, RateLimitError];
+
+/**
+ * True for OFFLINE_ERRORS and for the transient failures request() retried and
+ * gave up on (502/503/504, busy company file, ...). A 502 carrying a QuickBooks
+ * rejection only counts when its code is one of the transient ones
+ */
+function isOffline(error) {
+  if (OFFLINE_ERRORS.some(type => error instanceof type)) return true;
+  if (error instanceof IntegrationError) return TRANSIENT_ERROR_CODES.includes(error.code);
+  return error instanceof ConductorError && error.httpStatus !== null && isTransientFailure(error.httpStatus, error.raw);
+}
+
+// Line arrays cleared when voiding, per transaction type
+const VOID_LINE_KEYS = {
+  'bills': ['itemLines', 'expenseLines'],
+  'credit-card-charges': ['itemLines', 'expenseLines'],
+  'invoices': ['lines']
+};
 
 class ConductorClient {
-  constructor(apiKey, endUserId) {
+  /**
+   * options.baseUrl overrides the API base (e.g. the local mock server from
+   * mock-server.js); falls back to CONDUCTOR_API_BASE, then the live API
+   * options.dryRun makes every write a preview (see request())
+   * options.timeoutMs / maxRetries / retryBaseDelayMs tune request() retries
+   * options.pageSize / maxPages are the paginate() defaults
+   * options.onLog is called with the path of every write log this client writes
+   * options.cache: false reads everything live; options.cacheMaxAgeMinutes is how
+   * old the local list cache may get before a read syncs it (see cachedList())
+   */
+  constructor(apiKey, endUserId, options = {}) {
     this.apiKey = apiKey || process.env.CONDUCTOR_API_KEY;
     this.endUserId = endUserId || process.env.CONDUCTOR_END_USER_ID;
+    this.baseUrl = options.baseUrl || process.env.CONDUCTOR_API_BASE || API_BASE;
+    this.dryRun = options.dryRun || false;
+    this.timeoutMs = options.timeoutMs || 90000;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.retryBaseDelayMs = options.retryBaseDelayMs ?? 1000;
+    this.pageSize = options.pageSize || 150;
+    this.maxPages = options.maxPages || 100;
+    // Path of the most recent write log, so callers can link a document to its audit entry
+    this.lastLogFile = null;
+    this.onLog = options.onLog || null;
+    this.useCache = options.cache ?? process.env.CONDUCTOR_CACHE !== 'off';
+    this.cacheDir = options.cacheDir || listCache.CACHE_DIR;
+    this.cacheMaxAgeMinutes = options.cacheMaxAgeMinutes ??
+      parseFloat(process.env.CONDUCTOR_CACHE_MAX_AGE_MINUTES || listCache.DEFAULT_MAX_AGE_MINUTES);
 
     if (!this.apiKey || !this.endUserId) {
-      throw new Error('Missing CONDUCTOR_API_KEY or CONDUCTOR_END_USER_ID');
+      throw new AuthenticationError('Missing CONDUCTOR_API_KEY or CONDUCTOR_END_USER_ID', { code: 'MISSING_CREDENTIALS' });
     }
   }
 
   async request(endpoint, options = {}) {
-    const url = `${API_BASE}${endpoint}`;
+    const url = `${this.baseUrl}${endpoint}`;
     const method = options.method || 'GET';
     const isWriteAction = ['POST', 'PUT', 'PATCH', 'DELETE'].includes(method.toUpperCase());
 
-    const response = await fetch(url, {
-      method,
-      headers: {
-        'Authorization': `Bearer ${this.apiKey}`,
-        'Conductor-End-User-Id': this.endUserId,
-        'Content-Type': 'application/json',
-        ...options.headers
-      },
-      body: options.body ? JSON.stringify(options.body) : undefined
-    });
+    // Run create payloads through _business_rules.json (auto-correct or reject)
+    if (this._isCreateEndpoint(endpoint, method) && options.body && !options.skipRuleCheck) {
+      options = { ...options, body: enforceRules(this._extractEntity(endpoint), options.body) };
+    }
+
+    // Dry run: log and return the final payload without sending it
+    if (isWriteAction && (options.dryRun ?? this.dryRun)) {
+      return this._simulateWrite(endpoint, method, options.body || null, options.before, options.action, options.undoOf);
+    }
+
+    // GETs retry on transient failures; writes only retry when options.verifyNotWritten
+    // (e.g. a re-search by refNumber) confirms the failed attempt did not land
+    const canRetry = !isWriteAction || typeof options.verifyNotWritten === 'function';
+    let attempt = 0;
+
+    while (true) {
+      attempt++;
+      const { response, data } = await this._fetchOnce(url, method, options);
+      const ok = response?.ok && !data?.error;
+
+      if (isWriteAction) {
+        this._logWrite(endpoint, method, options.body, ok ? data : { error: data }, ok ? 'success' : 'error', options.before, options.action, options.undoOf);
+      }
 
-    const data = await response.json();
-
-    // Log write actions
-    if (isWriteAction) {
-      const entity = this._extractEntity(endpoint);
-      const action = this._methodToAction(method);
-
-      logWriteAction({
-        action,
-        entity,
-        endpoint: `${method} ${endpoint}`,
-        request: options.body || null,
-        response: response.ok ? data : { error: data },
-        status: response.ok ? 'success' : 'error',
-        refNumber: options.body?.refNumber || data?.refNumber || null,
-        linkedEntities: this._extractLinkedEntities(options.body, data)
+      if (ok) {
+        if (isWriteAction) this._updateCache(endpoint, method, data);
+        return data;
+      }
+
+      const status = response ? response.status : null;
+      if (!canRetry || attempt > this.maxRetries || !isTransientFailure(status, data)) {
+        throw errorFromResponse(status, data, response?.headers);
+      }
+
+      if (isWriteAction) {
+        let existing;
+        try {
+          existing = await options.verifyNotWritten();
+        } catch (e) {
+          // Can't tell whether the write landed - don't risk a duplicate
+          throw errorFromResponse(status, data, response?.headers);
+        }
+        if (existing) {
+          console.log(`[RETRY] ${method} ${endpoint} failed but the write landed (ID ${existing.id}) - not retrying`);
+          this._logWrite(endpoint, method, options.body, existing, 'recovered', options.before, options.action, options.undoOf);
+          this._updateCache(endpoint, method, existing);
+          return existing;
+        }
+      }
+
+      const delay = backoffDelay(attempt, this.retryBaseDelayMs, response?.headers?.get('retry-after'));
+      console.log(
+        `[RETRY] ${method} ${endpoint} failed (${status || data.error.code}), ` +
+        `attempt ${attempt + 1} of ${this.maxRetries + 1} in ${delay}ms`
+      );
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * Single HTTP attempt with timeout. Never throws for transport problems:
+   * returns { response: null, data: { error } } instead so request() can decide on retry
+   */
+  async _fetchOnce(url, method, options) {
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Conductor-End-User-Id': this.endUserId,
+          'Content-Type': 'application/json',
+          ...options.headers
+        },
+        body: options.body ? JSON.stringify(options.body) : undefined,
+        signal: AbortSignal.timeout(options.timeoutMs || this.timeoutMs)
       });
+    } catch (e) {
+      const timedOut = e.name === 'TimeoutError' || e.name === 'AbortError';
+      return {
+        response: null,
+        data: {
+          error: {
+            code: timedOut ? 'REQUEST_TIMEOUT' : 'NETWORK_ERROR',
+            message: timedOut
+              ? `No response from Conductor within ${options.timeoutMs || this.timeoutMs}ms`
+              : `Network error: ${e.cause?.message || e.message}`
+          }
+        }
+      };
     }
 
-    if (!response.ok) {
-      throw new Error(`API Error ${response.status}: ${JSON.stringify(data)}`);
+    // 502 HTML pages and dropped Web Connector sessions don't always return JSON
+    const text = await response.text();
+    try {
+      return { response, data: text ? JSON.parse(text) : {} };
+    } catch (e) {
+      return {
+        response,
+        data: {
+          error: {
+            code: 'INVALID_RESPONSE',
+            message: `Non-JSON response from Conductor (HTTP ${response.status}): ${text.slice(0, 200)}`
+          }
+        }
+      };
     }
+  }
+
+  _logWrite(endpoint, method, request, response, status, before = null, action = null, undoOf = null) {
+    this.lastLogFile = logWriteAction({
+      action: action || this._methodToAction(method, endpoint),
+      entity: this._extractEntity(endpoint),
+      endpoint: `${method} ${endpoint}`,
+      request: request || null,
+      response,
+      status,
+      refNumber: request?.refNumber || response?.refNumber || before?.refNumber || null,
+      linkedEntities: this._extractLinkedEntities(request, response),
+      before,
+      undoOf
+    });
+    if (this.onLog) this.onLog(this.lastLogFile);
+    return this.lastLogFile;
+  }
+
+  _simulateWrite(endpoint, method, payload, before = null, action = null, undoOf = null) {
+    const entity = this._extractEntity(endpoint);
+    const response = {
+      id: null,
+      objectType: `qbd_${entity.replace(/ies$/, 'y').replace(/s$/, '')}`,
+      ...payload,
+      dryRun: true
+    };
 
-    return data;
+    const logFile = this._logWrite(endpoint, method, payload, response, 'dry_run', before, action, undoOf);
+
+    return { dryRun: true, endpoint: `${method} ${endpoint}`, payload, response, logFile };
   }
 
   _extractEntity(endpoint) {
@@ -70,7 +241,15 @@ class ConductorClient {
     return match ? match[1].replace(/-/g, '_') : 'unknown';
   }
 
-  _methodToAction(method) {
+  _isCreateEndpoint(endpoint, method) {
+    return method.toUpperCase() === 'POST' && /^\/quickbooks-desktop\/[^\/\?]+$/.test(endpoint);
+  }
+
+  _methodToAction(method, endpoint) {
+    // Conductor uses POST for both create (/bills) and update (/bills/{id})
+    if (method.toUpperCase() === 'POST' && !this._isCreateEndpoint(endpoint, method)) {
+      return 'update';
+    }
     const map = { POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
     return map[method.toUpperCase()] || method.toLowerCase();
   }
@@ -108,272 +287,802 @@ class ConductorClient {
    * Returns the pattern data if found, null otherwise
    */
   findVendorPattern(vendorId) {
-    if (!fs.existsSync(DATA_PATTERNS_DIR)) {
-      return null;
-    }
+    return findPattern('vendor', vendorId).match;
+  }
+
+  /**
+   * Check if a vendor pattern file exists for the given vendor ID
+   */
+  vendorPatternExists(vendorId) {
+    return this.findVendorPattern(vendorId) !== null;
+  }
 
-    const files = fs.readdirSync(DATA_PATTERNS_DIR);
-    const vendorFiles = files.filter(f => f.startsWith('vendor_') && f.endsWith('.json'));
+  /**
+   * Get all vendor patterns that pass schema validation
+   */
+  getAllVendorPatterns() {
+    return loadPatterns('vendor').patterns;
+  }
 
-    for (const file of vendorFiles) {
-      try {
-        const filePath = path.join(DATA_PATTERNS_DIR, file);
-        const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-        if (content.vendor?.id === vendorId) {
-          return { file, pattern: content };
-        }
-      } catch (e) {
-        // Skip files that can't be parsed
-        continue;
+  /**
+   * Validate every pattern file of the given type
+   * Returns { patterns, errors } - see lib/pattern-loader.js
+   */
+  validatePatterns(entityType = 'vendor') {
+    return loadPatterns(entityType);
+  }
+
+  // ============================================================
+  // PAGINATION
+  // ============================================================
+
+  /**
+   * Async iterator over every record of a list endpoint, following nextCursor
+   * resource: endpoint name under /quickbooks-desktop (e.g. 'purchase-orders')
+   * Stops after options.maxPages, warns that results were truncated and calls
+   * options.onTruncated({ resource, pages, pageSize }) so callers that need every
+   * record can refuse the partial result; `break` out of the loop to stop early
+   * without fetching further pages
+   */
+  async *paginate(resource, params = {}, { pageSize = this.pageSize, maxPages = this.maxPages, onTruncated = null } = {}) {
+    let cursor = null;
+    let page = 0;
+
+    while (true) {
+      const query = { ...params, limit: pageSize };
+      if (cursor) query.cursor = cursor;
+
+      const response = await this.request(`/quickbooks-desktop/${resource}?${new URLSearchParams(query).toString()}`);
+      page++;
+
+      for (const record of response.data || []) {
+        yield record;
+      }
+
+      cursor = response.nextCursor;
+      if (!cursor) return;
+
+      if (page >= maxPages) {
+        console.warn(
+          `[PAGINATE] WARNING: ${resource} results truncated after ${page} page(s) of ${pageSize} - ` +
+          `more records remain. Narrow the filters or raise maxPages.`
+        );
+        if (onTruncated) onTruncated({ resource, pages: page, pageSize });
+        return;
       }
     }
+  }
 
-    return null;
+  /**
+   * Collect every record from paginate() into an array
+   */
+  async listAll(resource, params = {}, options = {}) {
+    const records = [];
+    for await (const record of this.paginate(resource, params, options)) {
+      records.push(record);
+    }
+    return records;
   }
 
   /**
-   * Check if a vendor pattern file exists for the given vendor ID
+   * Return the first record matching predicate, fetching no more pages than needed
    */
-  vendorPatternExists(vendorId) {
-    return this.findVendorPattern(vendorId) !== null;
+  async findFirst(resource, params, predicate, options = {}) {
+    for await (const record of this.paginate(resource, params, options)) {
+      if (predicate(record)) return record;
+    }
+    return null;
   }
 
+  // ============================================================
+  // LIST CACHE
+  // ============================================================
+  // Searches (duplicate checks, open POs, vendor matching) read a local copy
+  // of the lists in lib/list-cache.js. Lookups used right before a write pass
+  // { live: true } and go to QuickBooks instead
+
   /**
-   * Get all vendor patterns
+   * Bring the cache up to date: records changed since the last sync plus
+   * deletions, or everything when full (or the cache is new or too old)
+   * A sync cut short by maxPages is not written (CACHE_INCOMPLETE): records past
+   * the cap would be missing, and the watermark would keep later syncs from fetching them
+   * Returns [{ resource, full, updated, deleted, total }]
    */
-  getAllVendorPatterns() {
-    if (!fs.existsSync(DATA_PATTERNS_DIR)) {
-      return [];
+  async syncCache(resources = Object.keys(listCache.CACHED_RESOURCES), { full = false, maxPages = this.maxPages } = {}) {
+    const results = [];
+    for (const resource of resources) {
+      if (!listCache.isCached(resource)) {
+        throw new Error(`${resource} is not cached - use one of ${Object.keys(listCache.CACHED_RESOURCES).join(', ')}`);
+      }
+      const cache = listCache.readCache(resource, this.cacheDir);
+      const syncedAt = new Date().toISOString();
+      const { params, deletedParams } = listCache.syncParams(resource, cache, { full });
+
+      let truncated = false;
+      const records = await this.listAll(resource, params, { maxPages, onTruncated: () => { truncated = true; } });
+      if (truncated) {
+        throw new ConductorError(
+          `CACHE_INCOMPLETE: ${resource} has more than ${maxPages} page(s) of records to sync - the cache was not written. ` +
+          'Sync again with a higher maxPages (qbd cache sync --max-pages <n>)',
+          { code: 'CACHE_INCOMPLETE' }
+        );
+      }
+      const deleted = deletedParams
+        ? (await this._list(listCache.CACHED_RESOURCES[resource].list ? 'deleted-list-objects' : 'deleted-transactions', deletedParams)).data || []
+        : [];
+
+      const merged = listCache.mergeSync(resource, cache, { records, deleted, full: !deletedParams, syncedAt });
+      listCache.writeCache(merged.cache, this.cacheDir);
+      const total = Object.keys(merged.cache.records).length;
+      console.log(`[CACHE] ${resource}: ${merged.updated} updated, ${merged.deleted} deleted (${deletedParams ? 'incremental' : 'full'}) - ${total} cached`);
+      results.push({ resource, full: !deletedParams, updated: merged.updated, deleted: merged.deleted, total });
     }
+    return results;
+  }
 
-    const files = fs.readdirSync(DATA_PATTERNS_DIR);
-    const vendorFiles = files.filter(f => f.startsWith('vendor_') && f.endsWith('.json'));
-    const patterns = [];
+  /**
+   * Every record of a cached resource, syncing first when the copy is older
+   * than cacheMaxAgeMinutes. When QuickBooks can't be reached the existing
+   * copy is used (with a warning) so read-only scripts keep working
+   */
+  async cachedList(resource) {
+    if (!this.useCache) {
+      return this.listAll(resource, listCache.CACHED_RESOURCES[resource]?.list ? { status: 'all' } : {});
+    }
 
-    for (const file of vendorFiles) {
+    let cache = listCache.readCache(resource, this.cacheDir);
+    if (listCache.isStale(cache, this.cacheMaxAgeMinutes)) {
       try {
-        const filePath = path.join(DATA_PATTERNS_DIR, file);
-        const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-        patterns.push({ file, pattern: content });
-      } catch (e) {
-        continue;
+        await this.syncCache([resource]);
+        cache = listCache.readCache(resource, this.cacheDir);
+      } catch (error) {
+        if (!cache || !isOffline(error)) throw error;
+        console.warn(`[CACHE] WARNING: could not refresh ${resource} (${error.message}) - using the copy from ${cache.syncedAt}`);
       }
     }
+    return Object.values(cache.records);
+  }
 
-    return patterns;
+  /**
+   * Keep cached lists in step with this client's own writes
+   * Never fails the write - the next sync corrects anything missed
+   */
+  _updateCache(endpoint, method, response) {
+    if (!this.useCache) return;
+    const match = endpoint.match(/^\/quickbooks-desktop\/([^\/\?]+)(?:\/([^\/\?]+))?/);
+    if (!match || !listCache.isCached(match[1])) return;
+    const id = response?.id || (match[2] && decodeURIComponent(match[2]));
+    if (!id) return;
+    try {
+      listCache.applyWrite(match[1], id, method.toUpperCase() === 'DELETE' ? null : response, this.cacheDir);
+    } catch (e) {
+      console.warn(`[CACHE] WARNING: could not update ${match[1]} cache: ${e.message}`);
+    }
   }
 
   // ============================================================
   // READ OPERATIONS
   // ============================================================
+  // Every resource has get<X>(params) for one page, get<X>ById(id) and
+  // listAll<X>(params) which follows pagination (see paginate())
+
+  async _list(resource, params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.request(`/quickbooks-desktop/${resource}${query ? '?' + query : ''}`);
+  }
+
+  async _retrieve(resource, id) {
+    return this.request(`/quickbooks-desktop/${resource}/${encodeURIComponent(id)}`);
+  }
 
   async getEndUser() {
     return this.request(`/end-users/${this.endUserId}`);
   }
 
+  // --- Customers ---
+
   async getCustomers(params = {}) {
-    const query = new URLSearchParams(params).toString();
-    return this.request(`/quickbooks-desktop/customers${query ? '?' + query : ''}`);
+    return this._list('customers', params);
+  }
+
+  async getCustomerById(id) {
+    return this._retrieve('customers', id);
   }
 
   async getCustomer(id) {
-    return this.request(`/quickbooks-desktop/customers/${id}`);
+    return this.getCustomerById(id);
+  }
+
+  async listAllCustomers(params = {}, options = {}) {
+    return this.listAll('customers', params, options);
   }
 
+  // --- Vendors ---
+
   async getVendors(params = {}) {
-    const query = new URLSearchParams(params).toString();
-    return this.request(`/quickbooks-desktop/vendors${query ? '?' + query : ''}`);
+    return this._list('vendors', params);
+  }
+
+  async getVendorById(id) {
+    return this._retrieve('vendors', id);
   }
 
   async getVendor(id) {
-    return this.request(`/quickbooks-desktop/vendors/${id}`);
+    return this.getVendorById(id);
+  }
+
+  async listAllVendors(params = {}, options = {}) {
+    return this.listAll('vendors', params, options);
   }
 
   /**
-   * Fetch all active vendors for LLM fuzzy matching
-   * Returns simplified list: { id, name, balance }
+   * Fetch all active vendors for name matching
+   * Returns simplified list: { id, name, companyName, email, balance }
    */
   async getVendorListForMatching() {
-    const vendors = [];
-    let cursor = null;
-    let page = 0;
-    const maxPages = 20;
-
-    do {
-      const params = { limit: 150, status: 'active' };
-      if (cursor) params.cursor = cursor;
-
-      const response = await this.getVendors(params);
-
-      if (response.data) {
-        response.data.forEach(v => {
-          vendors.push({
-            id: v.id,
-            name: v.name,
-            companyName: v.companyName,
-            balance: v.balance
-          });
-        });
-      }
+    const vendors = (await this.cachedList('vendors')).filter(v => v.isActive !== false);
+    return vendors.map(v => ({
+      id: v.id,
+      name: v.name,
+      companyName: v.companyName,
+      email: v.email,
+      balance: v.balance
+    }));
+  }
 
-      cursor = response.nextCursor;
-      page++;
-    } while (cursor && page < maxPages);
+  /**
+   * Find the QuickBooks vendor for a name as written on an invoice or request
+   * query: a name, or { name, email, hstNumber } - email and HST number are
+   * compared with the vendor patterns. No match below the minScore threshold
+   * in _business_rules.json; the ranked candidates are returned either way
+   * Returns { match, candidates: [{ id, name, companyName, patternFile, score, evidence }], reason }
+   */
+  async matchVendor(query, options = {}) {
+    const vendors = await this.getVendorListForMatching();
+    const { patterns } = loadPatterns('vendor');
+    return matchVendor(query, buildCandidates(vendors, patterns), options);
+  }
 
-    return vendors;
+  // --- Employees ---
+
+  async getEmployees(params = {}) {
+    return this._list('employees', params);
+  }
+
+  async getEmployeeById(id) {
+    return this._retrieve('employees', id);
   }
 
+  async listAllEmployees(params = {}, options = {}) {
+    return this.listAll('employees', params, options);
+  }
+
+  // --- Accounts ---
+
   async getAccounts(params = {}) {
-    const query = new URLSearchParams(params).toString();
-    return this.request(`/quickbooks-desktop/accounts${query ? '?' + query : ''}`);
+    return this._list('accounts', params);
+  }
+
+  async getAccountById(id) {
+    return this._retrieve('accounts', id);
+  }
+
+  async listAllAccounts(params = {}, options = {}) {
+    return this.listAll('accounts', params, options);
+  }
+
+  // --- Classes ---
+
+  async getClasses(params = {}) {
+    return this._list('classes', params);
+  }
+
+  async getClassById(id) {
+    return this._retrieve('classes', id);
+  }
+
+  async listAllClasses(params = {}, options = {}) {
+    return this.listAll('classes', params, options);
+  }
+
+  // --- Terms (NET 30 EOM etc. are standard terms) ---
+
+  async getStandardTerms(params = {}) {
+    return this._list('standard-terms', params);
+  }
+
+  async getStandardTermById(id) {
+    return this._retrieve('standard-terms', id);
+  }
+
+  async listAllStandardTerms(params = {}, options = {}) {
+    return this.listAll('standard-terms', params, options);
+  }
+
+  // --- Date-driven terms ---
+
+  async getDateDrivenTerms(params = {}) {
+    return this._list('date-driven-terms', params);
+  }
+
+  async getDateDrivenTermById(id) {
+    return this._retrieve('date-driven-terms', id);
+  }
+
+  async listAllDateDrivenTerms(params = {}, options = {}) {
+    return this.listAll('date-driven-terms', params, options);
+  }
+
+  // --- Sales tax codes ---
+
+  async getSalesTaxCodes(params = {}) {
+    return this._list('sales-tax-codes', params);
+  }
+
+  async getSalesTaxCodeById(id) {
+    return this._retrieve('sales-tax-codes', id);
+  }
+
+  async listAllSalesTaxCodes(params = {}, options = {}) {
+    return this.listAll('sales-tax-codes', params, options);
+  }
+
+  // --- Items (Conductor splits items by type) ---
+
+  async getServiceItems(params = {}) {
+    return this._list('service-items', params);
+  }
+
+  async getServiceItemById(id) {
+    return this._retrieve('service-items', id);
+  }
+
+  async listAllServiceItems(params = {}, options = {}) {
+    return this.listAll('service-items', params, options);
+  }
+
+  // --- Non-inventory items ---
+
+  async getNonInventoryItems(params = {}) {
+    return this._list('non-inventory-items', params);
+  }
+
+  async getNonInventoryItemById(id) {
+    return this._retrieve('non-inventory-items', id);
+  }
+
+  async listAllNonInventoryItems(params = {}, options = {}) {
+    return this.listAll('non-inventory-items', params, options);
+  }
+
+  // --- Inventory items ---
+
+  async getInventoryItems(params = {}) {
+    return this._list('inventory-items', params);
+  }
+
+  async getInventoryItemById(id) {
+    return this._retrieve('inventory-items', id);
+  }
+
+  async listAllInventoryItems(params = {}, options = {}) {
+    return this.listAll('inventory-items', params, options);
+  }
+
+  // --- Other charge items ---
+
+  async getOtherChargeItems(params = {}) {
+    return this._list('other-charge-items', params);
+  }
+
+  async getOtherChargeItemById(id) {
+    return this._retrieve('other-charge-items', id);
+  }
+
+  async listAllOtherChargeItems(params = {}, options = {}) {
+    return this.listAll('other-charge-items', params, options);
   }
 
+  /**
+   * All items across the item types we post with (service, non-inventory,
+   * inventory, other charge)
+   */
+  async listAllItems(params = {}, options = {}) {
+    const types = ['service-items', 'non-inventory-items', 'inventory-items', 'other-charge-items'];
+    const results = [];
+    for (const resource of types) {
+      results.push(...await this.listAll(resource, params, options));
+    }
+    return results;
+  }
+
+  // --- Invoices ---
+
   async getInvoices(params = {}) {
-    const query = new URLSearchParams(params).toString();
-    return this.request(`/quickbooks-desktop/invoices${query ? '?' + query : ''}`);
+    return this._list('invoices', params);
+  }
+
+  async getInvoiceById(id) {
+    return this._retrieve('invoices', id);
+  }
+
+  async listAllInvoices(params = {}, options = {}) {
+    return this.listAll('invoices', params, options);
+  }
+
+  /**
+   * Invoice numbers are unique across customers, so this searches them all
+   */
+  async findInvoiceByRefNumber(refNumber) {
+    return this.findFirst('invoices', { refNumbers: refNumber }, invoice => invoice.refNumber === refNumber);
   }
 
+  /**
+   * Next number in the company invoice sequence, from the last 12 months of invoices
+   * Throws INVOICE_NUMBER_UNKNOWN when no numbered invoice is found - pass refNumber instead
+   */
+  async getNextInvoiceNumber() {
+    const invoices = await this.listAll('invoices', { transactionDateFrom: this._monthsAgo(12) });
+    const next = nextInSequence(invoices);
+    if (!next) {
+      throw new BusinessRuleError(
+        'INVOICE_NUMBER_UNKNOWN: No numbered invoices in the last 12 months to continue the sequence from - pass refNumber',
+        { code: 'INVOICE_NUMBER_UNKNOWN' }
+      );
+    }
+    return next;
+  }
+
+  // --- Sales receipts ---
+
+  async getSalesReceipts(params = {}) {
+    return this._list('sales-receipts', params);
+  }
+
+  async getSalesReceiptById(id) {
+    return this._retrieve('sales-receipts', id);
+  }
+
+  async listAllSalesReceipts(params = {}, options = {}) {
+    return this.listAll('sales-receipts', params, options);
+  }
+
+  // --- Bills ---
+
   async getBills(params = {}) {
-    const query = new URLSearchParams(params).toString();
-    return this.request(`/quickbooks-desktop/bills${query ? '?' + query : ''}`);
+    return this._list('bills', params);
+  }
+
+  async getBillById(id) {
+    return this._retrieve('bills', id);
   }
 
   async getBill(id) {
-    return this.request(`/quickbooks-desktop/bills/${id}`);
+    return this.getBillById(id);
   }
 
-  async findBillByRefNumber(refNumber, vendorId = null) {
-    let cursor = null;
-    let page = 0;
-    const maxPages = 10;
+  async listAllBills(params = {}, options = {}) {
+    return this.listAll('bills', params, options);
+  }
 
-    // Search recent bills (last 6 months) - sufficient for duplicate detection
-    const sixMonthsAgo = new Date();
-    sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
-    const updatedAfter = sixMonthsAgo.toISOString().split('T')[0];
+  /**
+   * live: ask QuickBooks (duplicate checks before a write); otherwise search the cache
+   */
+  async findBillByRefNumber(refNumber, vendorId = null, { live = false } = {}) {
+    const matches = bill => bill.refNumber === refNumber && (!vendorId || bill.vendor?.id === vendorId);
+    if (!live) return (await this.cachedList('bills')).find(matches) || null;
 
-    do {
-      const params = { limit: 150, updatedAfter };
-      if (vendorId) params.vendorIds = vendorId;  // Filter by vendor for faster search
-      if (cursor) params.cursor = cursor;
+    const params = { refNumbers: refNumber };
+    if (vendorId) params.vendorIds = vendorId;
+    return this.findFirst('bills', params, matches);
+  }
 
-      const response = await this.getBills(params);
+  // --- Bill payments (by check) ---
 
-      const match = response.data?.find(bill => bill.refNumber === refNumber);
-      if (match) return match;
+  async getBillCheckPayments(params = {}) {
+    return this._list('bill-check-payments', params);
+  }
 
-      cursor = response.nextCursor;
-      page++;
-    } while (cursor && page < maxPages);
+  async getBillCheckPaymentById(id) {
+    return this._retrieve('bill-check-payments', id);
+  }
 
-    return null;
+  async listAllBillCheckPayments(params = {}, options = {}) {
+    return this.listAll('bill-check-payments', params, options);
   }
 
-  async getPurchaseOrders(params = {}) {
-    const query = new URLSearchParams(params).toString();
-    return this.request(`/quickbooks-desktop/purchase-orders${query ? '?' + query : ''}`);
+  // --- Bill payments (by credit card) ---
+
+  async getBillCreditCardPayments(params = {}) {
+    return this._list('bill-credit-card-payments', params);
   }
 
-  async getPurchaseOrder(id) {
-    return this.request(`/quickbooks-desktop/purchase-orders/${id}`);
+  async getBillCreditCardPaymentById(id) {
+    return this._retrieve('bill-credit-card-payments', id);
+  }
+
+  async listAllBillCreditCardPayments(params = {}, options = {}) {
+    return this.listAll('bill-credit-card-payments', params, options);
+  }
+
+  // --- Item receipts ---
+
+  async getItemReceipts(params = {}) {
+    return this._list('item-receipts', params);
+  }
+
+  async getItemReceiptById(id) {
+    return this._retrieve('item-receipts', id);
+  }
+
+  async listAllItemReceipts(params = {}, options = {}) {
+    return this.listAll('item-receipts', params, options);
+  }
+
+  // --- Vendor credits ---
+
+  async getVendorCredits(params = {}) {
+    return this._list('vendor-credits', params);
+  }
+
+  async getVendorCreditById(id) {
+    return this._retrieve('vendor-credits', id);
+  }
+
+  async listAllVendorCredits(params = {}, options = {}) {
+    return this.listAll('vendor-credits', params, options);
+  }
+
+  // --- Checks ---
+
+  async getChecks(params = {}) {
+    return this._list('checks', params);
+  }
+
+  async getCheckById(id) {
+    return this._retrieve('checks', id);
+  }
+
+  async listAllChecks(params = {}, options = {}) {
+    return this.listAll('checks', params, options);
+  }
+
+  // --- Credit card charges ---
+
+  async getCreditCardCharges(params = {}) {
+    return this._list('credit-card-charges', params);
+  }
+
+  async getCreditCardChargeById(id) {
+    return this._retrieve('credit-card-charges', id);
+  }
+
+  async listAllCreditCardCharges(params = {}, options = {}) {
+    return this.listAll('credit-card-charges', params, options);
   }
 
   /**
-   * Find active (open) POs for a vendor by PO number
-   * Active = not fully received AND not manually closed
+   * live: ask QuickBooks by exact refNumber, with no date window, so a re-post
+   * of an old charge is still found; otherwise search the cache
    */
-  async findActivePO(vendorId, poNumber) {
-    let cursor = null;
-    let page = 0;
-    const maxPages = 10;
+  async findCreditCardChargeByRefNumber(refNumber, payeeId = null, { live = false } = {}) {
+    const matches = charge => charge.refNumber === refNumber && (!payeeId || charge.payee?.id === payeeId);
+    if (!live) return (await this.cachedList('credit-card-charges')).find(matches) || null;
 
-    do {
-      const params = { limit: 150 };
-      if (vendorId) params.vendorIds = vendorId;
-      if (cursor) params.cursor = cursor;
-
-      const response = await this.getPurchaseOrders(params);
+    const params = { refNumbers: refNumber };
+    if (payeeId) params.payeeIds = payeeId;
+    return this._findDuplicate('credit-card-charges', params, matches);
+  }
 
-      const match = response.data?.find(po =>
-        po.refNumber === poNumber &&
-        !po.isFullyReceived &&
-        !po.isManuallyClosed
-      );
+  /**
+   * Find a charge with the same payee, date and line total posted under a
+   * suffixed variant of the ref number (e.g. "58624142" vs "58624142-R")
+   */
+  async findSimilarCreditCardCharge(chargeData, { live = false } = {}) {
+    const payeeId = chargeData.payeeId || chargeData.payee?.id;
+    const { refNumber, transactionDate } = chargeData;
+    if (!payeeId || !refNumber || !transactionDate) {
+      return null;
+    }
 
-      if (match) return match;
+    const total = this._sumLineAmounts(chargeData);
+    const matches = charge =>
+      charge.payee?.id === payeeId &&
+      charge.transactionDate === transactionDate &&
+      this._isSuffixedRefNumber(charge.refNumber, refNumber) &&
+      this._sumLineAmounts(charge) === total;
+    if (!live) return (await this.cachedList('credit-card-charges')).find(matches) || null;
+
+    const params = {
+      payeeIds: payeeId,
+      transactionDateFrom: transactionDate,
+      transactionDateTo: transactionDate
+    };
+    return this._findDuplicate('credit-card-charges', params, matches);
+  }
 
-      cursor = response.nextCursor;
-      page++;
-    } while (cursor && page < maxPages);
+  /**
+   * findFirst() for duplicate checks: a search cut short by maxPages throws
+   * DUPLICATE_CHECK_INCOMPLETE instead of reporting that there is no duplicate
+   */
+  async _findDuplicate(resource, params, predicate) {
+    return this.findFirst(resource, params, predicate, {
+      onTruncated: ({ pages, pageSize }) => {
+        throw new ConductorError(
+          `DUPLICATE_CHECK_INCOMPLETE: ${resource} search stopped after ${pages} page(s) of ${pageSize} without finding ` +
+          `a match - more records remain, so a duplicate cannot be ruled out. Raise maxPages and try again`,
+          { code: 'DUPLICATE_CHECK_INCOMPLETE' }
+        );
+      }
+    });
+  }
 
-    return null;
+  /**
+   * True when one ref number is the other plus a short suffix ("-R", "_2", " B")
+   */
+  _isSuffixedRefNumber(a, b) {
+    if (!a || !b || a === b) return false;
+    const [shorter, longer] = a.length < b.length ? [a, b] : [b, a];
+    if (!longer.startsWith(shorter)) return false;
+    return /^[-_.\s][A-Za-z0-9]{1,3}$/.test(longer.slice(shorter.length));
   }
 
   /**
-   * Get all active (open) POs for a vendor
-   * Active = not fully received AND not manually closed
+   * Sum itemLines + expenseLines amounts in cents (request or response shape)
    */
-  async getActivePOs(vendorId) {
-    const activePOs = [];
-    let cursor = null;
-    let page = 0;
-    const maxPages = 10;
+  _sumLineAmounts(txn) {
+    const lines = [...(txn.itemLines || []), ...(txn.expenseLines || [])];
+    return lines.reduce((sum, line) => sum + Math.round(parseFloat(line.amount || 0) * 100), 0);
+  }
 
-    do {
-      const params = { limit: 150 };
-      if (vendorId) params.vendorIds = vendorId;
-      if (cursor) params.cursor = cursor;
+  _monthsAgo(months) {
+    const date = new Date();
+    date.setMonth(date.getMonth() - months);
+    return date.toISOString().split('T')[0];
+  }
 
-      const response = await this.getPurchaseOrders(params);
+  // --- Credit card credits ---
 
-      const active = (response.data || []).filter(po =>
-        !po.isFullyReceived && !po.isManuallyClosed
-      );
-      activePOs.push(...active);
+  async getCreditCardCredits(params = {}) {
+    return this._list('credit-card-credits', params);
+  }
 
-      cursor = response.nextCursor;
-      page++;
-    } while (cursor && page < maxPages);
+  async getCreditCardCreditById(id) {
+    return this._retrieve('credit-card-credits', id);
+  }
+
+  async listAllCreditCardCredits(params = {}, options = {}) {
+    return this.listAll('credit-card-credits', params, options);
+  }
+
+  // --- Journal entries ---
+
+  async getJournalEntries(params = {}) {
+    return this._list('journal-entries', params);
+  }
+
+  async getJournalEntryById(id) {
+    return this._retrieve('journal-entries', id);
+  }
+
+  async listAllJournalEntries(params = {}, options = {}) {
+    return this.listAll('journal-entries', params, options);
+  }
+
+  // --- Purchase orders ---
+
+  async getPurchaseOrders(params = {}) {
+    return this._list('purchase-orders', params);
+  }
+
+  async getPurchaseOrderById(id) {
+    return this._retrieve('purchase-orders', id);
+  }
+
+  async getPurchaseOrder(id) {
+    return this.getPurchaseOrderById(id);
+  }
+
+  async listAllPurchaseOrders(params = {}, options = {}) {
+    return this.listAll('purchase-orders', params, options);
+  }
+
+  /**
+   * Find active (open) POs for a vendor by PO number
+   * Active = not fully received AND not manually closed
+   */
+  async findActivePO(vendorId, poNumber, { live = false } = {}) {
+    return (await this.getActivePOs(vendorId, { live })).find(po => po.refNumber === poNumber) || null;
+  }
 
-    return activePOs;
+  /**
+   * Next number in the company PO sequence, from the last 12 months of POs
+   * Vendor-format PO numbers (e.g. "0119VAVERKIN") are not part of the sequence
+   */
+  async getNextPurchaseOrderNumber() {
+    const pos = await this.listAll('purchase-orders', { transactionDateFrom: this._monthsAgo(12) });
+    const next = nextInSequence(pos);
+    if (!next) {
+      throw new BusinessRuleError(
+        'PO_NUMBER_UNKNOWN: No numbered POs in the last 12 months to continue the sequence from - pass refNumber',
+        { code: 'PO_NUMBER_UNKNOWN' }
+      );
+    }
+    return next;
+  }
+
+  /**
+   * Get all active (open) POs for a vendor
+   * Active = not fully received AND not manually closed
+   */
+  async getActivePOs(vendorId, { live = false } = {}) {
+    const pos = live
+      ? await this.listAll('purchase-orders', vendorId ? { vendorIds: vendorId } : {})
+      : (await this.cachedList('purchase-orders')).filter(po => !vendorId || po.vendor?.id === vendorId);
+    return pos.filter(po => !po.isFullyReceived && !po.isManuallyClosed);
   }
 
   // ============================================================
   // WRITE OPERATIONS (Auto-logged)
   // ============================================================
 
-  async createBill(billData, { skipDuplicateCheck = false, skipPatternCheck = false } = {}) {
+  /**
+   * Throw unless a valid dataPattern file exists for the vendor/customer
+   * MISSING_VENDOR / NO_VENDOR_PATTERN / INVALID_VENDOR_PATTERN (CUSTOMER for customers)
+   * Returns { file, pattern }
+   */
+  _requirePattern(entityType, id) {
+    const label = entityType.toUpperCase();
+    if (!id) {
+      const field = entityType === 'vendor' ? 'billData' : `${entityType}Data`;
+      throw new PatternError(`MISSING_${label}: ${field} must include ${entityType}Id or ${entityType}.id`, { code: `MISSING_${label}` });
+    }
+
+    const { match, errors, allErrors } = findPattern(entityType, id);
+    if (!match && errors.length > 0) {
+      const error = new PatternError(
+        `INVALID_${label}_PATTERN: dataPattern file for ${entityType} ID ${id} failed validation:\n` +
+        errors.map(e => `  - ${formatPatternError(e)}`).join('\n'),
+        { code: `INVALID_${label}_PATTERN` }
+      );
+      error[`${entityType}Id`] = id;
+      error.patternErrors = errors;
+      throw error;
+    }
+    if (!match) {
+      // Files whose ID could not be read might be the one we are looking for
+      const unreadable = allErrors.filter(e => e.id === null);
+      const draftFlag = entityType === 'vendor' ? '' : `--${entityType} `;
+      const howTo = `Draft one with "node generate-pattern.js ${draftFlag}${id}" (or write it from _template_${entityType}.json) first.`;
+      const error = new PatternError(
+        `NO_${label}_PATTERN: No dataPattern file found for ${entityType} ID ${id}. ${howTo}` +
+        unreadable.map(e => `\n  - (unreadable, may be this ${entityType}) ${formatPatternError(e)}`).join(''),
+        { code: `NO_${label}_PATTERN` }
+      );
+      error[`${entityType}Id`] = id;
+      error.patternErrors = unreadable;
+      throw error;
+    }
+    return match;
+  }
+
+  async createBill(billData, { skipDuplicateCheck = false, skipPatternCheck = false, skipRuleCheck = false, dryRun } = {}) {
+    const vendorId = billData.vendorId || billData.vendor?.id;
+
     // Check vendor dataPattern exists (PREREQUISITE)
     if (!skipPatternCheck) {
-      const vendorId = billData.vendorId || billData.vendor?.id;
-      if (!vendorId) {
-        const error = new Error('MISSING_VENDOR: billData must include vendorId or vendor.id');
-        error.code = 'MISSING_VENDOR';
-        throw error;
-      }
-
-      const patternResult = this.findVendorPattern(vendorId);
-      if (!patternResult) {
-        const error = new Error(
-          `NO_VENDOR_PATTERN: No dataPattern file found for vendor ID ${vendorId}. ` +
-          `Create a dataPatterns/vendor_*.json file first using _template_vendor.json as a guide.`
-        );
-        error.code = 'NO_VENDOR_PATTERN';
-        error.vendorId = vendorId;
-        throw error;
-      }
+      this._requirePattern('vendor', vendorId);
     }
 
     // Check for duplicate bill by refNumber + vendorId
     if (!skipDuplicateCheck && billData.refNumber) {
-      const vendorId = billData.vendorId || billData.vendor?.id;
-      const existing = await this.findBillByRefNumber(billData.refNumber, vendorId);
+      const existing = await this.findBillByRefNumber(billData.refNumber, vendorId, { live: true });
       if (existing) {
-        const error = new Error(
+        const error = new DuplicateTransactionError(
           `DUPLICATE_BILL: Bill #${billData.refNumber} already exists for vendor ${existing.vendor?.fullName || vendorId}. ` +
-          `Existing bill ID: ${existing.id}, Date: ${existing.transactionDate}, Amount: $${existing.amountDue}`
+          `Existing bill ID: ${existing.id}, Date: ${existing.transactionDate}, Amount: $${existing.amountDue}`,
+          { code: 'DUPLICATE_BILL', existing }
         );
-        error.code = 'DUPLICATE_BILL';
         error.existingBill = existing;
         throw error;
       }
@@ -381,49 +1090,401 @@ class ConductorClient {
 
     return this.request('/quickbooks-desktop/bills', {
       method: 'POST',
-      body: billData
+      body: billData,
+      skipRuleCheck,
+      dryRun,
+      verifyNotWritten: billData.refNumber
+        ? () => this.findBillByRefNumber(billData.refNumber, vendorId, { live: true })
+        : undefined
     });
   }
 
-  async updateBill(id, billData) {
-    return this.request(`/quickbooks-desktop/bills/${id}`, {
-      method: 'POST',  // Conductor uses POST for updates
-      body: billData
+  /**
+   * Create a bill from a vendor invoice, linked to the open PO it belongs to
+   * The vendor's open POs are scored by PO number, line descriptions and amount;
+   * each bill line is linked to its PO line (linkToTransactionLine) so partial
+   * invoices only receive what was invoiced. Instead of guessing it refuses with
+   * a variance report: PO_NOT_FOUND, PO_MATCH_UNCERTAIN or PO_VARIANCE.
+   * allowUnlinked: create without a PO link when no PO (or no confident PO) matches
+   * Returns { bill, poMatch }
+   */
+  async createBillFromInvoice(billData, { poNumber = null, allowUnlinked = false, matchOptions = {}, ...createOptions } = {}) {
+    const vendorId = billData.vendorId || billData.vendor?.id;
+    if (!vendorId) {
+      throw new PatternError('MISSING_VENDOR: billData must include vendorId or vendor.id', { code: 'MISSING_VENDOR' });
+    }
+
+    const openPOs = await this.getActivePOs(vendorId, { live: true });
+    const report = matchPurchaseOrder(billData, openPOs, { poNumber, ...matchOptions });
+    const invoiceLabel = `invoice #${billData.refNumber || '(no ref)'}`;
+
+    if (!report.confident) {
+      const code = report.po ? 'PO_MATCH_UNCERTAIN' : 'PO_NOT_FOUND';
+      // Nothing to link to and nothing claims there should be - create as a non-PO bill
+      const unlinkedOk = allowUnlinked || (!report.po && isVerbal(poNumber));
+      if (!unlinkedOk) {
+        throw new POMatchError(
+          `${code}: Could not link ${invoiceLabel}${isVerbal(poNumber) ? '' : ` (PO ${poNumber})`} to an open PO ` +
+          `for vendor ${vendorId}:\n${formatMatchReport(report)}`,
+          { code, report }
+        );
+      }
+      console.log(`[PO] No confident PO match for ${invoiceLabel} - creating bill without a PO link`);
+      return { bill: await this.createBill(billData, createOptions), poMatch: report };
+    }
+
+    if (report.variances.length > 0) {
+      throw new POMatchError(
+        `PO_VARIANCE: ${invoiceLabel} does not agree with PO ${report.po.refNumber}:\n${formatMatchReport(report)}`,
+        { code: 'PO_VARIANCE', report }
+      );
+    }
+
+    // linkToTransactionLine brings the item from the PO line - QuickBooks rejects both
+    const itemLines = (billData.itemLines || []).map((line, i) => {
+      const link = report.lineLinks.find(l => l.billIndex === i);
+      if (!link) return line;
+      const { itemId, item, ...rest } = line;
+      return { ...rest, linkToTransactionLine: { transactionId: link.transactionId, transactionLineId: link.transactionLineId } };
+    });
+
+    console.log(`[PO] Linking ${invoiceLabel} to PO ${report.po.refNumber} (confidence ${report.confidence}: ${report.evidence.join(', ')})`);
+    report.additionalLines.forEach(line => {
+      console.log(`[PO] Line ${line.line} "${line.description}" is not on the PO - posting it without a link`);
     });
+    return { bill: await this.createBill({ ...billData, itemLines }, createOptions), poMatch: report };
   }
 
-  async createInvoice(invoiceData) {
+  /**
+   * Create a customer invoice
+   * Requires a customer dataPattern. Without a refNumber the next number in the
+   * company sequence is assigned; an existing invoice with the same number is
+   * refused (DUPLICATE_INVOICE). Line items are held to the Manufacturing Job
+   * rule in _business_rules.json by the rule engine
+   */
+  async createInvoice(invoiceData, { skipDuplicateCheck = false, skipPatternCheck = false, skipRuleCheck = false, dryRun } = {}) {
+    const customerId = invoiceData.customerId || invoiceData.customer?.id;
+
+    if (!skipPatternCheck) {
+      this._requirePattern('customer', customerId);
+    }
+
+    let refNumber = invoiceData.refNumber;
+    if (!refNumber) {
+      refNumber = await this.getNextInvoiceNumber();
+      console.log(`[INVOICE] Assigned next invoice number ${refNumber}`);
+    }
+
+    if (!skipDuplicateCheck) {
+      const existing = await this.findInvoiceByRefNumber(refNumber);
+      if (existing) {
+        throw new DuplicateTransactionError(
+          `DUPLICATE_INVOICE: Invoice #${refNumber} already exists for customer ${existing.customer?.fullName || existing.customer?.id}. ` +
+          `Existing invoice ID: ${existing.id}, Date: ${existing.transactionDate}, Amount: $${existing.totalAmount}`,
+          { code: 'DUPLICATE_INVOICE', existing }
+        );
+      }
+    }
+
     return this.request('/quickbooks-desktop/invoices', {
       method: 'POST',
-      body: invoiceData
+      body: { ...invoiceData, refNumber },
+      skipRuleCheck,
+      dryRun,
+      verifyNotWritten: () => this.findInvoiceByRefNumber(refNumber)
     });
   }
 
-  async createPurchaseOrder(poData) {
+  async createPurchaseOrder(poData, { skipRuleCheck = false, dryRun } = {}) {
     return this.request('/quickbooks-desktop/purchase-orders', {
       method: 'POST',
-      body: poData
+      body: poData,
+      skipRuleCheck,
+      dryRun
+    });
+  }
+
+  /**
+   * Create a PO from the vendor's dataPattern
+   * lines: [{ description, quantity, rate, itemId? }]; item, terms, tax code and
+   * the employee field come from the pattern. The PO number is generated in the
+   * vendor's purchaseOrderPattern.poNumber format (company sequence by default)
+   * or, when passed, checked against it. Refuses a PO that duplicates an open one
+   * (DUPLICATE_PURCHASE_ORDER) and any line on the customer-only Manufacturing Job item
+   * Returns { purchaseOrder, classifications }
+   */
+  async createPurchaseOrderFromPattern(vendorId, lines, {
+    refNumber = null,
+    transactionDate = new Date().toISOString().split('T')[0],
+    employee = null,
+    memo = null,
+    skipDuplicateCheck = false,
+    skipRuleCheck = false,
+    dryRun
+  } = {}) {
+    const { pattern } = this._requirePattern('vendor', vendorId);
+    const { format } = poSettings(pattern);
+
+    if (!refNumber) {
+      // Only the digits of the next company number fill "{sequence}"
+      const next = format.includes('{sequence}') ? parseSequential(await this.getNextPurchaseOrderNumber()) : null;
+      const sequence = next ? String(next.number).padStart(next.width, '0') : null;
+      refNumber = buildPONumber(format, { date: transactionDate, employee, sequence });
+      console.log(`[PO] Assigned PO #${refNumber} (${format})`);
+    }
+    validatePONumber(format, refNumber, pattern.vendor.name);
+
+    const { payload, classifications } = buildPurchaseOrder(pattern, lines, { refNumber, transactionDate, employee, memo });
+    classifications.forEach((c, i) => {
+      if (c?.needsReview) console.log(`[PO] Line ${i + 1}: ${c.itemName} is a guess (${c.source}, ${c.confidence}) - check "${lines[i].description}"`);
     });
+
+    // Checked up front so a bad line fails before the duplicate lookup
+    if (!skipRuleCheck) {
+      const { violations } = applyRules('purchase_orders', payload);
+      if (violations.length > 0) {
+        throw new BusinessRuleError(
+          `BUSINESS_RULE_VIOLATION: PO #${refNumber} breaks ${violations.length} rule(s):\n` +
+          violations.map(v => `  - ${v.rule}: ${v.field} = "${v.value}" (${v.description})`).join('\n'),
+          { code: 'BUSINESS_RULE_VIOLATION', violations }
+        );
+      }
+    }
+
+    if (!skipDuplicateCheck) {
+      const duplicate = findDuplicateOpenPO(payload, await this.getActivePOs(vendorId, { live: true }));
+      if (duplicate) {
+        const { po } = duplicate;
+        throw new DuplicateTransactionError(
+          `DUPLICATE_PURCHASE_ORDER: ${duplicate.reason} (${pattern.vendor.name}). ` +
+          `Existing PO ID: ${po.id}, Date: ${po.transactionDate}, Amount: $${po.totalAmount}`,
+          { code: 'DUPLICATE_PURCHASE_ORDER', existing: po }
+        );
+      }
+    }
+
+    const purchaseOrder = await this.createPurchaseOrder(payload, { skipRuleCheck, dryRun });
+    return { purchaseOrder, classifications };
   }
 
-  async createVendor(vendorData) {
+  async createVendor(vendorData, { dryRun } = {}) {
     return this.request('/quickbooks-desktop/vendors', {
       method: 'POST',
-      body: vendorData
+      body: vendorData,
+      dryRun
     });
   }
 
-  async getCreditCardCharges(params = {}) {
-    const query = new URLSearchParams(params).toString();
-    return this.request(`/quickbooks-desktop/credit-card-charges${query ? '?' + query : ''}`);
-  }
+  async createCreditCardCharge(chargeData, { skipDuplicateCheck = false, skipRuleCheck = false, dryRun } = {}) {
+    const payeeId = chargeData.payeeId || chargeData.payee?.id;
+
+    // Check for duplicate charge by refNumber + payeeId, including suffixed re-posts (e.g. "-R")
+    if (!skipDuplicateCheck && chargeData.refNumber) {
+      const existing = await this.findCreditCardChargeByRefNumber(chargeData.refNumber, payeeId, { live: true }) ||
+        await this.findSimilarCreditCardCharge(chargeData, { live: true });
+      if (existing) {
+        const error = new DuplicateTransactionError(
+          `DUPLICATE_CREDIT_CARD_CHARGE: Charge #${existing.refNumber} already exists for payee ${existing.payee?.fullName || payeeId}. ` +
+          `Existing charge ID: ${existing.id}, Date: ${existing.transactionDate}, Amount: $${existing.amount}`,
+          { code: 'DUPLICATE_CREDIT_CARD_CHARGE', existing }
+        );
+        error.existingCharge = existing;
+        throw error;
+      }
+    }
 
-  async createCreditCardCharge(chargeData) {
     return this.request('/quickbooks-desktop/credit-card-charges', {
       method: 'POST',
-      body: chargeData
+      body: chargeData,
+      skipRuleCheck,
+      dryRun,
+      verifyNotWritten: chargeData.refNumber
+        ? () => this.findCreditCardChargeByRefNumber(chargeData.refNumber, payeeId, { live: true })
+        : undefined
+    });
+  }
+
+  // ============================================================
+  // UPDATE / VOID / DELETE (Auto-logged with before/after snapshots)
+  // ============================================================
+
+  /**
+   * Update a record, sending the current revisionNumber (fetched first unless
+   * given in changes). On a stale-revision conflict the record is re-fetched
+   * and the update retried up to maxConflictRetries times
+   */
+  async _update(resource, id, changes, { dryRun, maxConflictRetries = 2, action = 'update', undoOf } = {}) {
+    let revisionNumber = changes.revisionNumber || null;
+    let conflicts = 0;
+
+    while (true) {
+      const before = await this._retrieve(resource, id);
+      const body = { ...changes, revisionNumber: revisionNumber || before.revisionNumber };
+
+      try {
+        return await this.request(`/quickbooks-desktop/${resource}/${encodeURIComponent(id)}`, {
+          method: 'POST',  // Conductor uses POST for updates
+          body,
+          before,
+          dryRun,
+          action,
+          undoOf
+        });
+      } catch (error) {
+        if (!this._isStaleRevision(error) || conflicts >= maxConflictRetries) throw error;
+        conflicts++;
+        revisionNumber = null;
+        console.log(`[RETRY] ${resource}/${id} revisionNumber ${body.revisionNumber} is stale - re-fetching and retrying`);
+      }
+    }
+  }
+
+  _isStaleRevision(error) {
+    // QBXML 3200: "The provided edit sequence ... is out-of-date"
+    return (error instanceof IntegrationError && String(error.qbxmlStatusCode) === '3200') ||
+      /edit sequence|revisionNumber.*out-of-date/i.test(error.message);
+  }
+
+  /**
+   * Conductor has no void endpoint. Voiding keeps the transaction and its
+   * lines but zeroes every line (amount becomes 0) and marks the memo "VOID",
+   * as QuickBooks does. Lines can't be dropped: QuickBooks refuses a
+   * transaction with none (3180 "The transaction is empty")
+   */
+  async _void(resource, id, { reason = null, dryRun, undoOf } = {}) {
+    const record = await this._retrieve(resource, id);
+    const changes = { memo: reason ? `VOID: ${reason}` : 'VOID' };
+    VOID_LINE_KEYS[resource].forEach(key => {
+      if (record[key]?.length) changes[key] = record[key].map(line => this._zeroLine(line));
+    });
+    return this._update(resource, id, changes, { dryRun, action: 'void', undoOf });
+  }
+
+  /**
+   * Update-body line that keeps a line (by id) with nothing left to pay
+   */
+  _zeroLine(line) {
+    const zeroed = { id: line.id, amount: '0.00' };
+    if (line.quantity !== undefined && line.quantity !== null) zeroed.quantity = 0;
+    return zeroed;
+  }
+
+  async _delete(resource, id, { dryRun, undoOf } = {}) {
+    const before = await this._retrieve(resource, id);
+    return this.request(`/quickbooks-desktop/${resource}/${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+      before,
+      dryRun,
+      undoOf
     });
   }
+
+  async updateBill(id, changes, options = {}) {
+    return this._update('bills', id, changes, options);
+  }
+
+  async updatePurchaseOrder(id, changes, options = {}) {
+    return this._update('purchase-orders', id, changes, options);
+  }
+
+  async updateInvoice(id, changes, options = {}) {
+    return this._update('invoices', id, changes, options);
+  }
+
+  async updateCreditCardCharge(id, changes, options = {}) {
+    return this._update('credit-card-charges', id, changes, options);
+  }
+
+  async updateVendor(id, changes, options = {}) {
+    return this._update('vendors', id, changes, options);
+  }
+
+  async voidBill(id, options = {}) {
+    return this._void('bills', id, options);
+  }
+
+  async voidInvoice(id, options = {}) {
+    return this._void('invoices', id, options);
+  }
+
+  async voidCreditCardCharge(id, options = {}) {
+    return this._void('credit-card-charges', id, options);
+  }
+
+  async deleteBill(id, options = {}) {
+    return this._delete('bills', id, options);
+  }
+
+  async deletePurchaseOrder(id, options = {}) {
+    return this._delete('purchase-orders', id, options);
+  }
+
+  async deleteInvoice(id, options = {}) {
+    return this._delete('invoices', id, options);
+  }
+
+  async deleteCreditCardCharge(id, options = {}) {
+    return this._delete('credit-card-charges', id, options);
+  }
+
+  // ============================================================
+  // UNDO (reverse a logged write - see lib/undo.js)
+  // ============================================================
+
+  /**
+   * Plan the reversal of a write, given its log file or refNumber
+   * options: { entity, mode: 'delete' | 'void', unlink } - mode applies to created transactions,
+   * unlink allows restoring lines that were received against a PO (see lib/undo.js)
+   * Returns the lib/undo.js plan plus `current` (the record as it is now) and
+   * `stale` (changed in QuickBooks since the logged write)
+   */
+  async planUndo(target, { entity = null, mode = 'delete', unlink = false } = {}) {
+    const plan = buildUndoPlan(findTargetLog(target, { entity }), { mode, unlink });
+
+    let current;
+    try {
+      current = await this._retrieve(plan.resource, plan.id);
+    } catch (error) {
+      if (!(error instanceof NotFoundError)) throw error;
+      throw new UndoError(
+        `UNDO_TARGET_NOT_FOUND: ${plan.resource} ${plan.id} from ${plan.file} is no longer in QuickBooks`,
+        { code: 'UNDO_TARGET_NOT_FOUND', logFile: plan.file }
+      );
+    }
+
+    const logged = plan.entry.response?.revisionNumber;
+    const stale = Boolean(logged && current.revisionNumber && String(logged) !== String(current.revisionNumber));
+    return { ...plan, current, stale };
+  }
+
+  /**
+   * Reverse a logged write; the reversal's log has `undoOf` set to the original log file
+   * Refuses a record changed since the logged write (UNDO_STALE) unless force
+   * Returns { plan, result }
+   */
+  async undo(target, { entity = null, mode = 'delete', force = false, unlink = false, dryRun } = {}) {
+    const plan = await this.planUndo(target, { entity, mode, unlink });
+    if (plan.stale && !force) {
+      throw new UndoError(
+        `UNDO_STALE: ${plan.resource} ${plan.id} has changed since ${plan.file} ` +
+        `(revision ${plan.entry.response.revisionNumber} -> ${plan.current.revisionNumber}) - check it, then pass force`,
+        { code: 'UNDO_STALE', logFile: plan.file }
+      );
+    }
+
+    const options = { dryRun, undoOf: plan.file };
+    let result;
+    if (plan.kind === 'delete') {
+      result = await this._delete(plan.resource, plan.id, options);
+    } else if (plan.kind === 'void') {
+      result = await this._void(plan.resource, plan.id, { ...options, reason: `undo of ${plan.entry.refNumber || plan.file}` });
+    } else {
+      result = await this._update(plan.resource, plan.id, plan.changes, options);
+    }
+
+    console.log(`[UNDO] ${plan.kind} ${plan.resource} ${plan.id} (reverses ${plan.file})`);
+    return { plan, result };
+  }
 }
 
 module.exports = ConductorClient;
@@ -0,0 +1,100 @@
+/**
+ * Draft a vendor or customer pattern from QuickBooks history
+ *
+ * Run: node generate-pattern.js <vendorId> [--months 12] [--out <file>] [--force] [--print]
+ *      node generate-pattern.js --customer <customerId> [same options]
+ * Pulls the vendor's POs, bills and credit card charges (or the customer's
+ * invoices) for the period and writes dataPatterns/vendor_<name>.json
+ * (customer_<name>.json). Read-only against QuickBooks.
+ * An existing pattern for the same vendor/customer (or file name) is not overwritten without --force.
+ * The file is written with _meta.draft: true; the pattern loader refuses it until that is removed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ConductorClient = require('./conductor-client');
+const { DATA_PATTERNS_DIR, findPattern } = require('./lib/pattern-loader');
+const { validatePattern } = require('./lib/pattern-schema');
+const { generateVendorPattern, generateCustomerPattern } = require('./lib/pattern-generator');
+
+function parseArgs(argv) {
+  const args = { entityType: 'vendor', id: null, months: 12, out: null, force: false, print: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--customer') args.entityType = 'customer';
+    else if (argv[i] === '--months') args.months = parseInt(argv[++i], 10);
+    else if (argv[i] === '--out') args.out = argv[++i];
+    else if (argv[i] === '--force') args.force = true;
+    else if (argv[i] === '--print') args.print = true;
+    else args.id = argv[i];
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.id || !(args.months > 0)) {
+    console.error('Usage: node generate-pattern.js [--customer] <vendorId|customerId> [--months 12] [--out <file>] [--force] [--print]');
+    process.exit(1);
+  }
+  const { entityType } = args;
+  const label = entityType === 'customer' ? 'Customer' : 'Vendor';
+
+  console.log('='.repeat(60));
+  console.log(`Generate ${label} Pattern: ${args.id} (last ${args.months} months)`);
+  console.log('='.repeat(60));
+  console.log('');
+
+  const existing = findPattern(entityType, args.id).match;
+  if (existing && !args.force && !args.print) {
+    console.error(`ERROR: ${existing.file} already covers ${entityType} ${args.id} - use --force to write a new draft anyway`);
+    process.exit(1);
+  }
+
+  try {
+    const client = new ConductorClient();
+    const generate = entityType === 'customer' ? generateCustomerPattern : generateVendorPattern;
+    const { fileName, pattern, warnings, analysis } = await generate(client, args.id, { months: args.months });
+    const { counts } = analysis;
+
+    console.log(`${label}:${' '.repeat(9 - label.length)} ${pattern[entityType].name}`);
+    if (entityType === 'customer') {
+      console.log(`History:  ${counts.invoices} invoice(s)`);
+    } else {
+      console.log(`History:  ${counts.purchaseOrders} PO(s), ${counts.bills} bill(s) (${counts.billsLinkedToPO} linked to a PO), ${counts.charges} credit card charge(s)`);
+      console.log(`Type:     ${pattern.transactionType.type}`);
+    }
+    console.log(`Terms:    ${pattern.defaults.terms.name}   Tax: ${pattern.defaults.salesTaxCode.name}`);
+    (analysis.items.length > 0 ? analysis.items : analysis.expenseAccounts || []).slice(0, 5).forEach(entry => {
+      console.log(`  ${String(entry.count).padStart(4)} x ${entry.name}`);
+    });
+    console.log('');
+    warnings.forEach(warning => console.log(`  WARNING: ${warning}`));
+    console.log('');
+
+    if (args.print) {
+      console.log(JSON.stringify(pattern, null, 2));
+      return;
+    }
+
+    const outFile = args.out || path.join(DATA_PATTERNS_DIR, fileName);
+    if (fs.existsSync(outFile) && !args.force) {
+      console.error(`ERROR: ${outFile} already exists - use --out or --force`);
+      process.exit(1);
+    }
+    fs.writeFileSync(outFile, JSON.stringify(pattern, null, 2) + '\n');
+    console.log(`Wrote ${outFile}`);
+    console.log('It is marked "draft": true in _meta - nothing will post against it until you review it and remove that line');
+
+    const errors = validatePattern(pattern, entityType);
+    if (errors.length > 0) {
+      console.log('');
+      console.log('The draft does not validate yet (fix these before it is loaded):');
+      errors.forEach(err => console.log(`  ${err.field}: ${err.message}`));
+    }
+  } catch (error) {
+    console.error('ERROR:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,96 @@
+/**
+ * Document inbox: data/inbox -> data/review -> data/posted | data/failed
+ *
+ * Run:
+ *   node inbox.js receive [--card-account <accountId>]   Parse new PDFs in data/inbox into review/
+ *   node inbox.js post [--dry-run]                       Post review/ documents marked "approved": true
+ *   node inbox.js status                                 Show the manifest
+ *   node inbox.js backfill                               Register PDFs already in data/posted from logs/
+ *
+ * data/manifest.json maps each document's SHA-256 to its QuickBooks transaction,
+ * refNumber and log file. Documents already posted (or in review) are refused.
+ */
+
+const { FOLDERS, DATA_DIR, loadManifest, receiveInbox, postApproved, backfillPosted } = require('./lib/documents');
+const path = require('path');
+const fs = require('fs');
+
+const STATUS_LABELS = {
+  review: 'REVIEW ',
+  posted: 'POSTED ',
+  failed: 'FAILED ',
+  refused: 'REFUSED',
+  pending: 'PENDING',
+  dry_run: 'DRY RUN',
+  unmatched: 'NO LOG ',
+  skipped: 'SKIPPED'
+};
+
+function printResults(results) {
+  if (results.length === 0) {
+    console.log('Nothing to do');
+    return;
+  }
+  results.forEach(r => {
+    const detail = r.transactionId ? ` -> ${r.transactionId}` : '';
+    console.log(`  ${STATUS_LABELS[r.status] || r.status} ${r.file}${detail}`);
+    if (r.reason) console.log(`          ${r.reason}`);
+  });
+}
+
+function printStatus() {
+  const { documents } = loadManifest();
+  const entries = Object.values(documents);
+  const counts = {};
+  entries.forEach(e => { counts[e.status] = (counts[e.status] || 0) + 1; });
+
+  entries
+    .sort((a, b) => a.status.localeCompare(b.status) || a.file.localeCompare(b.file))
+    .forEach(e => {
+      console.log(`  ${STATUS_LABELS[e.status]} ${e.file}`);
+      console.log(`          ${e.vendorName || e.vendorId || '-'} #${e.refNumber || '-'}` +
+        (e.transactionId ? `  ${e.transactionType} ${e.transactionId}` : '') +
+        (e.logFile ? `  ${e.logFile}` : ''));
+      (e.otherTransactions || []).forEach(o => {
+        console.log(`          WARNING: also posted as ${o.entity} ${o.transactionId} (${o.refNumber})`);
+      });
+      if (e.error) console.log(`          ${e.error.message}`);
+    });
+
+  console.log('');
+  console.log(`${entries.length} document(s): ` + Object.entries(counts).map(([s, n]) => `${n} ${s}`).join(', '));
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const flag = name => rest.includes(name);
+  const option = name => (rest.includes(name) ? rest[rest.indexOf(name) + 1] : null);
+
+  FOLDERS.forEach(name => fs.mkdirSync(path.join(DATA_DIR, name), { recursive: true }));
+
+  console.log('='.repeat(60));
+  console.log(`Document Inbox: ${command || 'help'}`);
+  console.log('='.repeat(60));
+  console.log('');
+
+  try {
+    if (command === 'receive') {
+      printResults(await receiveInbox({ creditCardAccountId: option('--card-account') }));
+    } else if (command === 'post') {
+      const ConductorClient = require('./conductor-client');
+      printResults(await postApproved(new ConductorClient(), { dryRun: flag('--dry-run') }));
+    } else if (command === 'backfill') {
+      printResults(await backfillPosted());
+    } else if (command === 'status') {
+      printStatus();
+    } else {
+      console.log('Usage: node inbox.js <receive|post|status|backfill> [--dry-run] [--card-account <accountId>]');
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('ERROR:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
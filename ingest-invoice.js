@@ -0,0 +1,115 @@
+/**
+ * Turn vendor PDF invoices/receipts into bill or credit card charge payloads for review
+ *
+ * Run: node ingest-invoice.js <file.pdf|directory> [...] [--json] [--card-account <accountId>] [--charged <amount>]
+ * Text is extracted locally; nothing is sent to QuickBooks.
+ * --charged is the CAD amount charged to the card for a USD receipt (one file only).
+ * Exits with code 1 if any document could not be parsed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ingestInvoice } = require('./lib/invoice-ingest');
+const { loadPatterns } = require('./lib/pattern-loader');
+
+function parseArgs(argv) {
+  const args = { files: [], json: false, creditCardAccountId: null, chargedAmount: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--json') args.json = true;
+    else if (argv[i] === '--card-account') args.creditCardAccountId = argv[++i];
+    else if (argv[i] === '--charged') args.chargedAmount = argv[++i];
+    else args.files.push(argv[i]);
+  }
+  return args;
+}
+
+function expandFiles(inputs) {
+  return inputs.flatMap(input => {
+    if (!fs.statSync(input).isDirectory()) return [input];
+    return fs.readdirSync(input)
+      .filter(f => f.toLowerCase().endsWith('.pdf'))
+      .sort()
+      .map(f => path.join(input, f));
+  });
+}
+
+function printReview(review) {
+  const { invoice } = review;
+  const money = n => (n === null || n === undefined ? '-' : n.toFixed(2));
+  const rate = n => (n === null || Math.abs(n * 100 - Math.round(n * 100)) < 1e-6 ? money(n) : String(n));
+
+  console.log(`Vendor:   ${review.vendor.name} (${review.vendor.patternFile}, matched on ${review.vendor.matchedOn.join(', ')})`);
+  console.log(`Type:     ${review.transactionType} -> client.${review.method}()`);
+  console.log(`Invoice:  #${invoice.invoiceNumber}  ${invoice.date}  PO: ${invoice.poNumber || '-'}  (${invoice.currency})`);
+  console.log('');
+  invoice.lines.forEach((line, i) => {
+    const label = [line.partNumber, line.description].filter(Boolean).join(' - ');
+    console.log(`  ${i + 1}. ${label}`);
+    console.log(`     ${line.quantity} x ${rate(line.rate)} = ${money(line.amount)}`);
+    const item = review.classifications[i];
+    console.log(`     -> ${item.itemName || '(no item)'}  confidence ${item.confidence}` +
+      (item.matchedKeywords.length > 0 ? `  [${item.matchedKeywords.join(', ')}]` : ''));
+  });
+  console.log('');
+  console.log(`  Subtotal ${money(invoice.subtotal)}  Shipping ${money(invoice.shipping)}  Tax ${money(invoice.tax)}  Total ${money(invoice.total)}`);
+  console.log('');
+
+  review.issues.forEach(issue => console.log(`  ISSUE: ${issue}`));
+  review.notes.forEach(note => console.log(`  NOTE:  ${note}`));
+  if (review.issues.length === 0) console.log('  Ready to post');
+  console.log('');
+
+  console.log('Payload:');
+  console.log(JSON.stringify(review.payload, null, 2));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.files.length === 0) {
+    console.error('Usage: node ingest-invoice.js <file.pdf|directory> [...] [--json] [--card-account <accountId>] [--charged <amount>]');
+    process.exit(1);
+  }
+
+  const files = expandFiles(args.files);
+  if (args.chargedAmount !== null && files.length !== 1) {
+    console.error('--charged applies to a single receipt - pass one file');
+    process.exit(1);
+  }
+
+  const { patterns } = loadPatterns('vendor');
+  const reviews = [];
+  let failures = 0;
+
+  for (const file of files) {
+    try {
+      reviews.push(await ingestInvoice(file, {
+        patterns,
+        creditCardAccountId: args.creditCardAccountId,
+        chargedAmount: args.chargedAmount
+      }));
+    } catch (error) {
+      failures++;
+      reviews.push({ file, error: { code: error.code || null, message: error.message } });
+    }
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(reviews, null, 2));
+  } else {
+    for (const review of reviews) {
+      console.log('='.repeat(60));
+      console.log(path.basename(review.file));
+      console.log('='.repeat(60));
+      if (review.error) {
+        console.log(`ERROR: ${review.error.message}`);
+      } else {
+        printReview(review);
+      }
+      console.log('');
+    }
+  }
+
+  if (failures > 0) process.exit(1);
+}
+
+main();
@@ -0,0 +1,252 @@
+/**
+ * Batch Posting
+ * Plans and applies a file of bill and credit card charge payloads:
+ *   planBatch()  - pattern, duplicate, business-rule and PO checks for every
+ *                  item, without writing anything
+ *   applyPlan()  - posts the ready items a few at a time, carries on past
+ *                  failures and collects every write log each item produced
+ *
+ * Batch file: [{ type: 'bill' | 'credit_card_charge', payload, poNumber?, allowUnlinked? }]
+ * (or { items: [...] }); type defaults from the payload (payeeId -> charge)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { findPattern } = require('./pattern-loader');
+const { applyRules } = require('./rule-engine');
+const { matchPurchaseOrder, isVerbal } = require('./po-matcher');
+const { LOGS_DIR } = require('./logger');
+
+const DEFAULT_CONCURRENCY = 3;
+
+// Reports live in a subfolder so log readers that scan logs/*.json never see them
+const BATCH_DIR = path.join(LOGS_DIR, 'batches');
+
+function loadBatch(file) {
+  const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const items = Array.isArray(content) ? content : content.items;
+  if (!Array.isArray(items)) {
+    throw new Error(`${file} must be an array of items or { "items": [...] }`);
+  }
+  return items;
+}
+
+function itemType(item) {
+  if (item.type) return item.type;
+  return item.payload?.payeeId || item.payload?.accountId ? 'credit_card_charge' : 'bill';
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function payloadAmount(payload) {
+  const lines = [...(payload.itemLines || []), ...(payload.expenseLines || [])];
+  return round2(lines.reduce((sum, line) => {
+    const amount = line.amount ?? (line.quantity ?? 1) * (line.cost ?? 0);
+    return sum + (parseFloat(amount) || 0);
+  }, 0));
+}
+
+/**
+ * Open POs the bill would be linked to by createBillFromInvoice, or the reason it would refuse
+ * Returns { po, issue, note }
+ */
+function checkPurchaseOrder(payload, openPOs, { poNumber = null, allowUnlinked = false } = {}) {
+  const report = matchPurchaseOrder(payload, openPOs, { poNumber });
+  if (report.confident) {
+    const po = { id: report.po.id, refNumber: report.po.refNumber, confidence: report.confidence };
+    if (report.variances.length > 0) {
+      return { po, issue: `PO_VARIANCE: ${report.variances.map(v => v.message).join('; ')}` };
+    }
+    return { po, note: `PO ${report.po.refNumber} (${report.confidence})` };
+  }
+  if (allowUnlinked || (!report.po && isVerbal(poNumber))) {
+    return { po: null, note: 'no open PO - bill will not be linked' };
+  }
+  const code = report.po ? 'PO_MATCH_UNCERTAIN' : 'PO_NOT_FOUND';
+  return { po: null, issue: `${code}: ${report.reason || `PO ${poNumber} is not open for this vendor`}` };
+}
+
+/**
+ * Check every item without writing anything
+ * Returns { createdAt, items: [{ index, type, vendorId, vendorName, refNumber,
+ * amount, poNumber, allowUnlinked, payload, status: 'ready' | 'blocked',
+ * issues, notes, po }], summary: { total, ready, blocked, amount } }
+ */
+async function planBatch(client, items) {
+  const seen = new Map();
+  const planned = [];
+
+  for (const [index, item] of items.entries()) {
+    const type = itemType(item);
+    const payload = item.payload || {};
+    const isCharge = type === 'credit_card_charge';
+    const vendorId = isCharge ? payload.payeeId : payload.vendorId;
+    const entry = {
+      index,
+      type,
+      vendorId: vendorId || null,
+      vendorName: null,
+      refNumber: payload.refNumber || null,
+      amount: payloadAmount(payload),
+      poNumber: item.poNumber || null,
+      allowUnlinked: Boolean(item.allowUnlinked),
+      payload,
+      status: 'ready',
+      issues: [],
+      notes: [],
+      po: null
+    };
+    planned.push(entry);
+
+    if (type !== 'bill' && !isCharge) {
+      entry.issues.push(`unknown type "${type}" - use bill or credit_card_charge`);
+      continue;
+    }
+
+    const { match, errors } = vendorId ? findPattern('vendor', vendorId) : { match: null, errors: [] };
+    if (!vendorId) entry.issues.push(`MISSING_VENDOR: payload has no ${isCharge ? 'payeeId' : 'vendorId'}`);
+    else if (match) entry.vendorName = match.pattern.vendor.name;
+    else entry.issues.push(`${errors.length > 0 ? 'INVALID_VENDOR_PATTERN' : 'NO_VENDOR_PATTERN'}: vendor ${vendorId}`);
+
+    // The same invoice twice in one file would pass the QuickBooks check on both
+    const key = `${type}|${vendorId}|${entry.refNumber}`;
+    if (entry.refNumber && seen.has(key)) {
+      entry.issues.push(`repeats item ${seen.get(key) + 1} (same vendor and refNumber)`);
+    }
+    seen.set(key, index);
+
+    const { violations, corrections, warnings } = applyRules(isCharge ? 'credit_card_charges' : 'bills', payload);
+    violations.forEach(v => entry.issues.push(`${v.rule}: ${v.field} = "${v.value}"`));
+    corrections.forEach(c => entry.notes.push(`${c.field} will be set to "${c.to}"`));
+    warnings.forEach(w => entry.notes.push(`WARNING ${w.rule}: ${w.field} is "${w.value}"`));
+
+    if (!vendorId) continue;
+
+    if (entry.refNumber) {
+      const existing = isCharge
+        ? await client.findCreditCardChargeByRefNumber(entry.refNumber, vendorId) || await client.findSimilarCreditCardCharge(payload)
+        : await client.findBillByRefNumber(entry.refNumber, vendorId);
+      if (existing) {
+        entry.issues.push(`${isCharge ? 'DUPLICATE_CREDIT_CARD_CHARGE' : 'DUPLICATE_BILL'}: already in QuickBooks as #${existing.refNumber} (${existing.id})`);
+      }
+    }
+
+    if (!isCharge) {
+      const { po, issue, note } = checkPurchaseOrder(payload, await client.getActivePOs(vendorId), item);
+      entry.po = po;
+      if (issue) entry.issues.push(issue);
+      if (note) entry.notes.push(note);
+    }
+  }
+
+  planned.forEach(entry => {
+    if (entry.issues.length > 0) entry.status = 'blocked';
+  });
+  const ready = planned.filter(entry => entry.status === 'ready');
+  return {
+    createdAt: new Date().toISOString(),
+    items: planned,
+    summary: {
+      total: planned.length,
+      ready: ready.length,
+      blocked: planned.length - ready.length,
+      amount: round2(ready.reduce((sum, entry) => sum + entry.amount, 0))
+    }
+  };
+}
+
+/**
+ * Run fn over items with at most `limit` in flight; results keep the input order
+ */
+async function runWithLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+async function postItem(client, entry, dryRun) {
+  if (entry.type === 'credit_card_charge') {
+    return client.createCreditCardCharge(entry.payload, { dryRun });
+  }
+  const { bill } = await client.createBillFromInvoice(entry.payload, {
+    poNumber: entry.poNumber,
+    allowUnlinked: entry.allowUnlinked,
+    dryRun
+  });
+  return bill;
+}
+
+/**
+ * Post the plan's ready items; blocked items are skipped
+ * createClient(options) must return a new ConductorClient - each item gets its
+ * own so its write logs (options.onLog) are not mixed up with the others in flight.
+ * The item clients are created with cache: false, as several of them writing the
+ * same cache file at once would lose records; sync the cache once afterwards
+ * Returns [{ index, status: 'posted' | 'dry_run' | 'failed' | 'skipped', id, error, logFiles }]
+ */
+async function applyPlan(plan, { createClient, concurrency = DEFAULT_CONCURRENCY, dryRun = false } = {}) {
+  return runWithLimit(plan.items, concurrency, async entry => {
+    if (entry.status !== 'ready') {
+      return { index: entry.index, status: 'skipped', id: null, error: null, logFiles: [] };
+    }
+
+    const logFiles = [];
+    const client = createClient({ cache: false, onLog: file => logFiles.push(path.relative(LOGS_DIR, file)) });
+    try {
+      const result = await postItem(client, entry, dryRun);
+      console.log(`[BATCH] ${entry.index + 1}: #${entry.refNumber} ${dryRun ? 'previewed' : `posted (${result.id})`}`);
+      return { index: entry.index, status: dryRun ? 'dry_run' : 'posted', id: result.id || null, error: null, logFiles };
+    } catch (error) {
+      console.log(`[BATCH] ${entry.index + 1}: #${entry.refNumber} failed - ${error.code || error.message}`);
+      return { index: entry.index, status: 'failed', id: null, error: { code: error.code || null, message: error.message }, logFiles };
+    }
+  });
+}
+
+/**
+ * Write the batch report (plan, results and the log file of every write) to logs/batches/
+ * Returns the report path
+ */
+function writeBatchReport({ source, plan, results = null, dryRun = false, concurrency = DEFAULT_CONCURRENCY }, dir = BATCH_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const timestamp = new Date().toISOString();
+  const counts = {};
+  (results || []).forEach(r => {
+    counts[r.status] = (counts[r.status] || 0) + 1;
+  });
+
+  const report = {
+    timestamp,
+    source,
+    applied: Boolean(results),
+    dryRun,
+    concurrency,
+    summary: { ...plan.summary, results: counts },
+    items: plan.items.map(({ payload, ...entry }) => ({
+      ...entry,
+      result: results ? results[entry.index] : null
+    }))
+  };
+
+  const file = path.join(dir, `${dryRun ? 'dry-run_' : ''}batch_${timestamp.replace(/[:.]/g, '-')}.json`);
+  fs.writeFileSync(file, JSON.stringify(report, null, 2));
+  return file;
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  BATCH_DIR,
+  loadBatch,
+  planBatch,
+  applyPlan,
+  writeBatchReport
+};
@@ -0,0 +1,99 @@
+/**
+ * Currency Conversion
+ * Foreign-currency receipts (e.g. McMaster-Carr in USD) are booked in CAD using
+ * the amount actually charged to the card:
+ *   rate = CAD charged / USD invoice total
+ * applied to each LINE TOTAL and shipping, qty = 1
+ *
+ * Converted lines are allocated to the cent (largest remainder) so they add up
+ * exactly to the CAD amount, instead of drifting a cent or two from rounding
+ * each line separately. Vendors opt in with "currency.autoConvert": true
+ */
+
+const { round2 } = require('./invoice-parsers');
+const { CurrencyError } = require('./errors');
+
+function toCents(value) {
+  return Math.round(parseFloat(value) * 100);
+}
+
+/**
+ * Split a total across amounts in proportion to them, to the cent
+ * Each share is rounded down and the leftover cents go to the shares with the
+ * largest remainders, so the result always sums to the total
+ */
+function allocateTotal(amounts, total) {
+  const cents = amounts.map(toCents);
+  const sourceCents = cents.reduce((sum, c) => sum + c, 0);
+  const targetCents = toCents(total);
+  if (sourceCents === 0) {
+    throw new CurrencyError('CONVERSION_FAILED: Cannot allocate a total across lines that add up to 0', { code: 'CONVERSION_FAILED' });
+  }
+
+  const exact = cents.map(c => (c * targetCents) / sourceCents);
+  const shares = exact.map(Math.floor);
+  let leftover = targetCents - shares.reduce((sum, c) => sum + c, 0);
+
+  exact
+    .map((value, index) => ({ index, remainder: value - shares[index] }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+    .forEach(({ index }) => {
+      if (leftover > 0) {
+        shares[index]++;
+        leftover--;
+      }
+    });
+
+  return shares.map(c => c / 100);
+}
+
+/**
+ * Whether a pattern's currency section asks for automatic conversion
+ */
+function needsConversion(pattern, invoiceCurrency) {
+  const currency = pattern.currency;
+  return Boolean(currency?.autoConvert) && (invoiceCurrency || currency.invoiceCurrency) !== currency.bookCurrency;
+}
+
+/**
+ * Convert credit card charge item lines (qty 1, line total in amount)
+ * chargedAmount: what the card was actually charged, in book currency
+ * sourceTotal: the invoice total the card charge covers (tax included);
+ *   defaults to the sum of the lines when the invoice has no tax
+ * Returns { itemLines, conversion: { from, to, rate, sourceTotal, chargedAmount, linesTotal } }
+ */
+function convertItemLines(itemLines, chargedAmount, { sourceTotal = null, from = 'USD', to = 'CAD' } = {}) {
+  const charged = parseFloat(chargedAmount);
+  if (Number.isNaN(charged) || charged <= 0) {
+    throw new CurrencyError(
+      `MISSING_CHARGED_AMOUNT: Need the ${to} amount charged to the card to convert ${from} lines (got "${chargedAmount}")`,
+      { code: 'MISSING_CHARGED_AMOUNT' }
+    );
+  }
+
+  const sourceAmounts = itemLines.map(line => parseFloat(line.amount));
+  const linesSource = round2(sourceAmounts.reduce((sum, a) => sum + a, 0));
+  const total = sourceTotal ?? linesSource;
+  if (!(total > 0)) {
+    throw new CurrencyError(`CONVERSION_FAILED: ${from} total must be above 0`, { code: 'CONVERSION_FAILED' });
+  }
+
+  // Tax on the receipt stays out of the lines - QuickBooks adds it back from salesTaxCodeId
+  const rate = charged / total;
+  const linesTotal = total === linesSource ? charged : round2(linesSource * rate);
+  const converted = allocateTotal(sourceAmounts, linesTotal);
+
+  return {
+    itemLines: itemLines.map((line, i) => ({ ...line, quantity: 1, amount: converted[i].toFixed(2) })),
+    conversion: {
+      from,
+      to,
+      rate: Math.round(rate * 10000) / 10000,
+      sourceTotal: total,
+      chargedAmount: charged,
+      linesTotal
+    }
+  };
+}
+
+module.exports = { allocateTotal, needsConversion, convertItemLines };
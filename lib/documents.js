@@ -0,0 +1,368 @@
+/**
+ * Document Lifecycle
+ * data/inbox -> data/review -> data/posted (or data/failed), tracked in
+ * data/manifest.json keyed by the SHA-256 of each source document:
+ *   { status, file, vendorId, transactionType, transactionId, refNumber, logFile, ... }
+ *
+ * A document whose hash (or vendor + invoice number) is already posted or
+ * waiting in review is refused instead of being ingested again
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ingestInvoice, extractText, identifyVendor, parseInvoice } = require('./invoice-ingest');
+const { loadPatterns } = require('./pattern-loader');
+const { LOGS_DIR } = require('./logger');
+
+// DOCUMENTS_DIR keeps test runs away from the real data/ folders
+const DATA_DIR = process.env.DOCUMENTS_DIR || path.join(__dirname, '..', 'data');
+const FOLDERS = ['inbox', 'review', 'posted', 'failed'];
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+const ENTITY_BY_TYPE = {
+  bill: 'bills',
+  credit_card_charge: 'credit_card_charges'
+};
+
+function folder(name, dir = DATA_DIR) {
+  const target = path.join(dir, name);
+  if (!fs.existsSync(target)) {
+    fs.mkdirSync(target, { recursive: true });
+  }
+  return target;
+}
+
+function hashFile(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+function manifestPath(dir = DATA_DIR) {
+  return path.join(dir, 'manifest.json');
+}
+
+function loadManifest(dir = DATA_DIR) {
+  const file = manifestPath(dir);
+  if (!fs.existsSync(file)) {
+    return { documents: {} };
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Write to a temp file first so an interrupted run never leaves half a manifest
+function saveManifest(manifest, dir = DATA_DIR) {
+  const file = manifestPath(dir);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(manifest, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Move a file into one of the lifecycle folders without overwriting:
+ * "Receipt 1.PDF" becomes "Receipt 1 (2).PDF" if the name is taken
+ */
+function moveTo(file, folderName, dir = DATA_DIR) {
+  const target = folder(folderName, dir);
+  const ext = path.extname(file);
+  const base = path.basename(file, ext);
+  let destination = path.join(target, `${base}${ext}`);
+  for (let n = 2; fs.existsSync(destination); n++) {
+    destination = path.join(target, `${base} (${n})${ext}`);
+  }
+  fs.renameSync(file, destination);
+  return destination;
+}
+
+function relative(file) {
+  return file ? path.relative(PROJECT_ROOT, file) : null;
+}
+
+function findEntryFor(manifest, { vendorId, refNumber }) {
+  return Object.entries(manifest.documents).find(([, entry]) =>
+    entry.vendorId === vendorId && entry.refNumber === refNumber && ['review', 'posted'].includes(entry.status)
+  ) || null;
+}
+
+function refusal(entry) {
+  return entry.status === 'posted'
+    ? `already posted as ${entry.transactionType} ${entry.transactionId || '(ID unknown)'} (ref ${entry.refNumber}, log ${entry.logFile || 'none'})`
+    : `already waiting in review (${entry.reviewFile})`;
+}
+
+function recordRefusal(manifest, hash, file, reason, dir) {
+  const moved = moveTo(file, 'failed', dir);
+  manifest.documents[hash].refusedDrops = [
+    ...(manifest.documents[hash].refusedDrops || []),
+    { file: path.basename(moved), at: new Date().toISOString(), reason }
+  ];
+  return { file: path.basename(file), status: 'refused', hash, reason };
+}
+
+/**
+ * Ingest every PDF in inbox/: parsed documents move to review/ with a
+ * "<name>.json" sidecar holding the payload, unreadable ones move to failed/
+ * Returns [{ file, status: 'review' | 'failed' | 'refused', hash, reason }]
+ */
+async function receiveInbox({ dir = DATA_DIR, patterns = loadPatterns('vendor').patterns, creditCardAccountId = null } = {}) {
+  const manifest = loadManifest(dir);
+  const inbox = folder('inbox', dir);
+  const results = [];
+
+  const files = fs.readdirSync(inbox).filter(f => f.toLowerCase().endsWith('.pdf')).sort();
+
+  for (const name of files) {
+    const file = path.join(inbox, name);
+    const hash = hashFile(file);
+    const known = manifest.documents[hash];
+
+    if (known && ['review', 'posted'].includes(known.status)) {
+      results.push(recordRefusal(manifest, hash, file, refusal(known), dir));
+      saveManifest(manifest, dir);
+      continue;
+    }
+
+    let review;
+    try {
+      review = await ingestInvoice(file, { patterns, creditCardAccountId });
+    } catch (error) {
+      const moved = moveTo(file, 'failed', dir);
+      manifest.documents[hash] = {
+        ...known,
+        status: 'failed',
+        file: path.basename(moved),
+        receivedAt: new Date().toISOString(),
+        error: { code: error.code || null, message: error.message }
+      };
+      saveManifest(manifest, dir);
+      results.push({ file: name, status: 'failed', hash, reason: error.message });
+      continue;
+    }
+
+    // Same invoice, different bytes (re-scanned or re-downloaded)
+    const sameInvoice = findEntryFor(manifest, { vendorId: review.vendor.id, refNumber: review.invoice.invoiceNumber });
+    if (sameInvoice) {
+      const [otherHash, other] = sameInvoice;
+      const moved = moveTo(file, 'failed', dir);
+      const reason = `same vendor and invoice number as ${other.file}: ${refusal(other)}`;
+      manifest.documents[hash] = {
+        status: 'refused',
+        file: path.basename(moved),
+        vendorId: review.vendor.id,
+        refNumber: review.invoice.invoiceNumber,
+        duplicateOf: otherHash,
+        receivedAt: new Date().toISOString(),
+        error: { code: 'DUPLICATE_DOCUMENT', message: reason }
+      };
+      saveManifest(manifest, dir);
+      results.push({ file: name, status: 'refused', hash, reason });
+      continue;
+    }
+
+    const moved = moveTo(file, 'review', dir);
+    const reviewFile = `${moved}.json`;
+    fs.writeFileSync(reviewFile, JSON.stringify({ approved: false, hash, ...review, file: relative(moved) }, null, 2));
+
+    manifest.documents[hash] = {
+      status: 'review',
+      file: path.basename(moved),
+      vendorId: review.vendor.id,
+      vendorName: review.vendor.name,
+      transactionType: review.transactionType,
+      refNumber: review.invoice.invoiceNumber,
+      reviewFile: relative(reviewFile),
+      receivedAt: new Date().toISOString(),
+      issues: review.issues
+    };
+    saveManifest(manifest, dir);
+    results.push({ file: name, status: 'review', hash, reason: review.issues.join('; ') || null });
+  }
+
+  return results;
+}
+
+/**
+ * Bills go through createBillFromInvoice with the invoice's PO number, so they
+ * are linked to their open PO (or refused on a PO mismatch) like any other bill.
+ * "allowUnlinked": true in the sidecar posts a bill without a PO
+ */
+async function postReview(client, review, dryRun) {
+  if (review.transactionType !== 'bill') {
+    return client[review.method](review.payload, { dryRun });
+  }
+  const { bill } = await client.createBillFromInvoice(review.payload, {
+    poNumber: review.invoice?.poNumber || null,
+    allowUnlinked: review.allowUnlinked === true,
+    dryRun
+  });
+  return bill;
+}
+
+/**
+ * Post every review/ document whose sidecar has "approved": true, using the
+ * (possibly hand-edited) payload in the sidecar. Posted documents move to
+ * posted/ and record the transaction ID and log file; failures move to failed/
+ * with their sidecar so they can be fixed and dropped back into inbox/
+ * Returns [{ file, status: 'posted' | 'failed' | 'pending' | 'dry_run', hash, transactionId, reason }]
+ */
+async function postApproved(client, { dir = DATA_DIR, dryRun = false } = {}) {
+  const manifest = loadManifest(dir);
+  const results = [];
+
+  for (const [hash, entry] of Object.entries(manifest.documents)) {
+    if (entry.status !== 'review') continue;
+
+    const reviewFile = path.join(PROJECT_ROOT, entry.reviewFile);
+    const documentFile = path.join(folder('review', dir), entry.file);
+    const review = JSON.parse(fs.readFileSync(reviewFile, 'utf8'));
+
+    if (!review.approved) {
+      results.push({ file: entry.file, status: 'pending', hash, reason: `set "approved": true in ${entry.reviewFile}` });
+      continue;
+    }
+
+    try {
+      client.lastLogFile = null;
+      const result = await postReview(client, review, dryRun);
+      if (dryRun) {
+        results.push({ file: entry.file, status: 'dry_run', hash, reason: relative(result.logFile) });
+        continue;
+      }
+
+      const moved = moveTo(documentFile, 'posted', dir);
+      fs.unlinkSync(reviewFile);
+      manifest.documents[hash] = {
+        ...entry,
+        status: 'posted',
+        file: path.basename(moved),
+        transactionId: result.id,
+        refNumber: result.refNumber || entry.refNumber,
+        logFile: relative(client.lastLogFile),
+        postedAt: new Date().toISOString(),
+        reviewFile: undefined,
+        issues: undefined
+      };
+      results.push({ file: entry.file, status: 'posted', hash, transactionId: result.id });
+    } catch (error) {
+      const moved = moveTo(documentFile, 'failed', dir);
+      moveTo(reviewFile, 'failed', dir);
+      manifest.documents[hash] = {
+        ...entry,
+        status: 'failed',
+        file: path.basename(moved),
+        reviewFile: undefined,
+        logFile: relative(client.lastLogFile),
+        error: { code: error.code || null, message: error.message }
+      };
+      results.push({ file: entry.file, status: 'failed', hash, reason: error.message });
+    }
+
+    saveManifest(manifest, dir);
+  }
+
+  return results;
+}
+
+function readLogs(logsDir) {
+  if (!fs.existsSync(logsDir)) return [];
+  return fs.readdirSync(logsDir)
+    .filter(f => f.endsWith('.json') && !f.startsWith('dry-run_'))
+    .map(f => {
+      try {
+        return { file: path.join(logsDir, f), ...JSON.parse(fs.readFileSync(path.join(logsDir, f), 'utf8')) };
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(log => log && log.action === 'create' && ['success', 'recovered'].includes(log.status));
+}
+
+/**
+ * Register documents already in posted/ that the manifest does not know about,
+ * matching each one to its create log by vendor and invoice number.
+ * Logs with a suffixed refNumber ("58624142-R") count as the same invoice, so
+ * documents that were posted more than once list the extras in otherTransactions
+ */
+async function backfillPosted({ dir = DATA_DIR, logsDir = LOGS_DIR, patterns = loadPatterns('vendor').patterns } = {}) {
+  const manifest = loadManifest(dir);
+  const posted = folder('posted', dir);
+  const logs = readLogs(logsDir);
+  const results = [];
+
+  const files = fs.readdirSync(posted).filter(f => f.toLowerCase().endsWith('.pdf')).sort();
+
+  for (const name of files) {
+    const file = path.join(posted, name);
+    const hash = hashFile(file);
+    if (manifest.documents[hash]) continue;
+
+    let vendor, invoice;
+    try {
+      const text = await extractText(file);
+      const match = identifyVendor(text, patterns);
+      vendor = match.pattern;
+      invoice = parseInvoice(text, vendor, file);
+    } catch (error) {
+      results.push({ file: name, status: 'skipped', hash, reason: error.message });
+      continue;
+    }
+
+    const ref = invoice.invoiceNumber;
+    const transactionType = vendor.transactionType?.type || 'bill';
+    const matches = logs
+      .filter(log => {
+        const party = log.request?.vendorId || log.request?.payeeId || log.response?.vendor?.id || log.response?.payee?.id;
+        const sameRef = log.refNumber === ref || new RegExp(`^${ref.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}[-_.\\s][A-Za-z0-9]{1,3}$`).test(log.refNumber || '');
+        return party === vendor.vendor.id && sameRef;
+      })
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+    // Prefer the create that matches the pattern's transaction type and exact refNumber
+    const primary = matches.find(log => log.entity === ENTITY_BY_TYPE[transactionType] && log.refNumber === ref)
+      || matches.find(log => log.refNumber === ref)
+      || matches[0]
+      || null;
+    const others = matches.filter(log => log !== primary);
+
+    manifest.documents[hash] = {
+      status: 'posted',
+      file: name,
+      vendorId: vendor.vendor.id,
+      vendorName: vendor.vendor.name,
+      transactionType: Object.keys(ENTITY_BY_TYPE).find(type => ENTITY_BY_TYPE[type] === primary?.entity) || transactionType,
+      refNumber: ref,
+      transactionId: primary?.response?.id || null,
+      logFile: primary ? relative(primary.file) : null,
+      postedAt: primary?.timestamp || null,
+      backfilled: true
+    };
+    if (others.length > 0) {
+      manifest.documents[hash].otherTransactions = others.map(log => ({
+        entity: log.entity,
+        transactionId: log.response?.id || null,
+        refNumber: log.refNumber,
+        logFile: relative(log.file)
+      }));
+    }
+
+    results.push({
+      file: name,
+      status: primary ? 'posted' : 'unmatched',
+      hash,
+      transactionId: primary?.response?.id || null,
+      reason: others.length > 0 ? `posted ${matches.length} times - see otherTransactions` : null
+    });
+  }
+
+  saveManifest(manifest, dir);
+  return results;
+}
+
+module.exports = {
+  DATA_DIR,
+  FOLDERS,
+  hashFile,
+  loadManifest,
+  saveManifest,
+  receiveInbox,
+  postApproved,
+  backfillPosted
+};
@@ -0,0 +1,187 @@
+/**
+ * Error Classes
+ * Typed errors for Conductor / QuickBooks failures so scripts can branch on
+ * `instanceof` or `error.code` instead of matching message text
+ *
+ * Every error carries: code, httpStatus, requestId, userFacingMessage
+ */
+
+class ConductorError extends Error {
+  constructor(message, { code = 'CONDUCTOR_ERROR', httpStatus = null, requestId = null, userFacingMessage = null, type = null, raw = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.httpStatus = httpStatus;
+    this.requestId = requestId;
+    this.userFacingMessage = userFacingMessage || message;
+    this.type = type;
+    this.raw = raw;
+  }
+}
+
+// 401 - bad or missing API key
+class AuthenticationError extends ConductorError {}
+
+// End user ID unknown, or QuickBooks Desktop auth flow never completed
+class EndUserNotConnectedError extends ConductorError {}
+
+// QuickBooks Desktop / Web Connector not running, company file busy - usually transient
+class QuickBooksNotRunningError extends ConductorError {}
+
+// 400 - request rejected; `fields` lists [{ field, message }]
+class ValidationError extends ConductorError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.fields = options.fields || [];
+  }
+}
+
+class NotFoundError extends ConductorError {}
+
+// 429 - `retryAfter` in seconds when Conductor sends it
+class RateLimitError extends ConductorError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.retryAfter = options.retryAfter ?? null;
+  }
+}
+
+// QuickBooks itself rejected the request; `qbxmlStatusCode` is the QBXML statusCode
+class IntegrationError extends ConductorError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.qbxmlStatusCode = options.qbxmlStatusCode ?? null;
+  }
+}
+
+// No usable response: timeout, DNS/socket failure
+class NetworkError extends ConductorError {}
+
+// ============================================================
+// LOCAL CHECKS (raised before anything is sent)
+// ============================================================
+
+// MISSING_VENDOR, NO_VENDOR_PATTERN, INVALID_VENDOR_PATTERN, AMBIGUOUS_VENDOR
+// MISSING_CUSTOMER, NO_CUSTOMER_PATTERN, INVALID_CUSTOMER_PATTERN
+// MISSING_EMPLOYEE, INVALID_PO_NUMBER (PO number does not follow the vendor's format)
+class PatternError extends ConductorError {}
+
+// DUPLICATE_BILL, DUPLICATE_CREDIT_CARD_CHARGE, DUPLICATE_INVOICE, DUPLICATE_PURCHASE_ORDER
+class DuplicateTransactionError extends ConductorError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.existing = options.existing || null;
+  }
+}
+
+// BUSINESS_RULE_VIOLATION, INVOICE_NUMBER_UNKNOWN, PO_NUMBER_UNKNOWN; `violations` lists each broken rule
+class BusinessRuleError extends ConductorError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.violations = options.violations || [];
+  }
+}
+
+// PO_NOT_FOUND, PO_MATCH_UNCERTAIN, PO_VARIANCE; `report` is the matchPurchaseOrder() result
+class POMatchError extends ConductorError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.report = options.report || null;
+  }
+}
+
+// INVOICE_PARSE_FAILED, UNKNOWN_INVOICE_LAYOUT; `file` is the source document
+class InvoiceParseError extends ConductorError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.file = options.file || null;
+  }
+}
+
+// MISSING_CHARGED_AMOUNT, CONVERSION_FAILED
+class CurrencyError extends ConductorError {}
+
+// UNDO_TARGET_NOT_FOUND, UNDO_AMBIGUOUS, CANNOT_UNDO, ALREADY_UNDONE, UNDO_STALE, UNDO_LINKED_LINES; `logFile` is the write being reversed
+class UndoError extends ConductorError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.logFile = options.logFile || null;
+  }
+}
+
+const END_USER_CODES = [
+  'END_USER_NOT_FOUND',
+  'INTEGRATION_CONNECTION_NOT_FOUND',
+  'INTEGRATION_CONNECTION_NOT_SET_UP'
+];
+
+/**
+ * Build the matching error class from a failed response
+ * status: HTTP status, or null when no response was received
+ * data: parsed body, normally { error: { message, userFacingMessage, type, code, integrationCode, requestId } }
+ */
+function errorFromResponse(status, data, headers = null) {
+  const body = data?.error || {};
+  const code = body.code || (status ? `HTTP_${status}` : 'NETWORK_ERROR');
+  const detail = body.message || JSON.stringify(data);
+  const options = {
+    code,
+    httpStatus: status,
+    requestId: body.requestId || headers?.get?.('conductor-request-id') || null,
+    userFacingMessage: body.userFacingMessage || null,
+    type: body.type || null,
+    raw: data
+  };
+
+  if (status === null) {
+    return new NetworkError(`Request Error (${code}): ${detail}`, options);
+  }
+
+  const message = `API Error ${status} (${code}): ${detail}`;
+
+  if (body.type === 'AUTHENTICATION_ERROR' || status === 401) {
+    return new AuthenticationError(message, options);
+  }
+  if (END_USER_CODES.includes(code)) {
+    return new EndUserNotConnectedError(message, options);
+  }
+  if (body.type === 'INTEGRATION_CONNECTION_ERROR') {
+    return new QuickBooksNotRunningError(message, options);
+  }
+  if (body.type === 'RATE_LIMIT_ERROR' || status === 429) {
+    const retryAfter = parseInt(headers?.get?.('retry-after'), 10);
+    return new RateLimitError(message, { ...options, retryAfter: Number.isNaN(retryAfter) ? null : retryAfter });
+  }
+  if (body.type === 'INTEGRATION_ERROR') {
+    return new IntegrationError(message, { ...options, qbxmlStatusCode: body.integrationCode ?? null });
+  }
+  if (status === 404) {
+    return new NotFoundError(message, options);
+  }
+  if (body.type === 'INVALID_REQUEST_ERROR' || status === 400 || status === 422) {
+    const fields = body.param ? [{ field: body.param, message: detail }] : [];
+    return new ValidationError(message, { ...options, fields });
+  }
+
+  return new ConductorError(message, options);
+}
+
+module.exports = {
+  ConductorError,
+  AuthenticationError,
+  EndUserNotConnectedError,
+  QuickBooksNotRunningError,
+  ValidationError,
+  NotFoundError,
+  RateLimitError,
+  IntegrationError,
+  NetworkError,
+  PatternError,
+  DuplicateTransactionError,
+  BusinessRuleError,
+  POMatchError,
+  InvoiceParseError,
+  CurrencyError,
+  UndoError,
+  errorFromResponse
+};
@@ -0,0 +1,319 @@
+/**
+ * Invoice Ingestion
+ * PDF invoice/receipt -> text (locally, via pdf-parse) -> vendor pattern ->
+ * parsed invoice -> createBill / createCreditCardCharge payload for review
+ *
+ * Nothing is sent to QuickBooks here; the review object lists anything that
+ * needs a person to look at it before the payload is posted
+ */
+
+const fs = require('fs');
+const path = require('path');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const { loadPatterns, loadCommonReferences } = require('./pattern-loader');
+const { LAYOUTS, round2 } = require('./invoice-parsers');
+const { needsConversion, convertItemLines } = require('./currency');
+const { classifyItem } = require('./item-classifier');
+const { PatternError, InvoiceParseError, CurrencyError } = require('./errors');
+
+// Differences below this (in dollars) are treated as rounding
+const TOLERANCE = 0.02;
+
+const TRANSACTION_METHODS = {
+  bill: 'createBill',
+  credit_card_charge: 'createCreditCardCharge'
+};
+
+async function extractText(file) {
+  const data = await pdfParse(fs.readFileSync(file));
+  return data.text;
+}
+
+function normalize(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Pick the vendor pattern whose identifiers appear in the document text
+ * HST/business number scores 3, email 2, vendor or company name 1
+ * Returns { file, pattern, score, matchedOn } or throws NO_VENDOR_PATTERN / AMBIGUOUS_VENDOR
+ */
+function identifyVendor(text, patterns = loadPatterns('vendor').patterns) {
+  const lowerText = text.toLowerCase();
+  const normalizedText = normalize(text);
+
+  const scored = patterns.map(({ file, pattern }) => {
+    const vendor = pattern.vendor;
+    const matchedOn = [];
+    const businessNumber = normalize(vendor.hstNumber).slice(0, 9);
+
+    if (businessNumber.length === 9 && normalizedText.includes(businessNumber)) matchedOn.push('hstNumber');
+    if (vendor.email && lowerText.includes(vendor.email.toLowerCase())) matchedOn.push('email');
+    if ([vendor.name, vendor.companyName].some(name => normalize(name) && normalizedText.includes(normalize(name)))) {
+      matchedOn.push('name');
+    }
+
+    const weights = { hstNumber: 3, email: 2, name: 1 };
+    const score = matchedOn.reduce((sum, key) => sum + weights[key], 0);
+    return { file, pattern, score, matchedOn };
+  }).filter(match => match.score > 0).sort((a, b) => b.score - a.score);
+
+  if (scored.length === 0) {
+    throw new PatternError(
+      'NO_VENDOR_PATTERN: No vendor pattern matches this document (checked HST number, email and name).\n' +
+      'Draft one with "node generate-pattern.js <vendorId>" or from dataPatterns/_template_vendor.json first.',
+      { code: 'NO_VENDOR_PATTERN' }
+    );
+  }
+  if (scored.length > 1 && scored[1].score === scored[0].score) {
+    throw new PatternError(
+      `AMBIGUOUS_VENDOR: Document matches ${scored.filter(m => m.score === scored[0].score).map(m => m.file).join(', ')} equally.`,
+      { code: 'AMBIGUOUS_VENDOR' }
+    );
+  }
+
+  return scored[0];
+}
+
+/**
+ * Parse document text with the layout named in the pattern's invoiceFormat
+ */
+function parseInvoice(text, pattern, file = null) {
+  const format = pattern.invoiceFormat;
+  const parser = LAYOUTS[format?.layout];
+  if (!parser) {
+    throw new InvoiceParseError(
+      `UNKNOWN_INVOICE_LAYOUT: ${pattern.vendor.name} has no usable invoiceFormat.layout ` +
+      `(known layouts: ${Object.keys(LAYOUTS).join(', ')})`,
+      { code: 'UNKNOWN_INVOICE_LAYOUT', file }
+    );
+  }
+
+  const invoice = parser(text, { dateFormat: format.dateFormat });
+  invoice.currency = invoice.currency || pattern.currency?.invoiceCurrency || 'CAD';
+
+  const missing = ['invoiceNumber', 'date'].filter(field => !invoice[field]);
+  if (invoice.lines.length === 0) missing.push('lines');
+  if (missing.length > 0) {
+    throw new InvoiceParseError(
+      `INVOICE_PARSE_FAILED: Could not read ${missing.join(', ')} from ${file ? path.basename(file) : 'document'} ` +
+      `using the "${format.layout}" layout`,
+      { code: 'INVOICE_PARSE_FAILED', file }
+    );
+  }
+
+  return invoice;
+}
+
+// Keep sub-cent unit prices (e.g. 1.81386) - QuickBooks accepts up to 5 decimals on cost
+function formatCost(rate) {
+  const fixed = Number(rate.toFixed(5)).toString();
+  return fixed.includes('.') && fixed.split('.')[1].length >= 2 ? fixed : rate.toFixed(2);
+}
+
+function lineDescription(line) {
+  return [line.partNumber, line.description].filter(Boolean).join(' - ');
+}
+
+/**
+ * Pick an item for each invoice line from the pattern's commonItems keywords
+ * Returns one classifyItem() result per line
+ */
+function classifyLines(invoice, pattern) {
+  const references = loadCommonReferences();
+  return invoice.lines.map(line => classifyItem(lineDescription(line), pattern, { references }));
+}
+
+/**
+ * Build the create payload following the pattern's transactionType
+ * Bills use quantity x cost per line; credit card charges use qty 1 with the
+ * line total in amount (see creditCardChargePattern notes)
+ */
+function buildPayload(invoice, pattern, { creditCardAccountId = null, classifications = classifyLines(invoice, pattern) } = {}) {
+  const type = pattern.transactionType?.type || 'bill';
+  const salesTaxCodeId = pattern.defaults.salesTaxCode.id;
+  const shippingItemId = pattern.commonItems?.shipping?.id || pattern.commonItems?.primary?.id || null;
+
+  if (type === 'credit_card_charge') {
+    const templateAccount = pattern.creditCardChargePattern?.template?.account?.id;
+    const accountId = creditCardAccountId || (/^[0-9A-F]+-\d+$/.test(templateAccount || '') ? templateAccount : null);
+
+    const itemLines = invoice.lines.map((line, i) => ({
+      itemId: classifications[i].itemId,
+      description: lineDescription(line),
+      quantity: 1,
+      amount: line.amount.toFixed(2),
+      salesTaxCodeId
+    }));
+    if (invoice.shipping) {
+      itemLines.push({ itemId: shippingItemId, description: 'Shipping', quantity: 1, amount: invoice.shipping.toFixed(2), salesTaxCodeId });
+    }
+
+    return {
+      accountId,
+      payeeId: pattern.vendor.id,
+      transactionDate: invoice.date,
+      refNumber: invoice.invoiceNumber,
+      itemLines
+    };
+  }
+
+  const itemLines = invoice.lines.map((line, i) => ({
+    itemId: classifications[i].itemId,
+    description: lineDescription(line),
+    quantity: line.quantity,
+    cost: formatCost(line.rate),
+    salesTaxCodeId
+  }));
+  if (invoice.shipping) {
+    itemLines.push({ itemId: shippingItemId, description: 'Shipping', quantity: 1, cost: invoice.shipping.toFixed(2), salesTaxCodeId });
+  }
+
+  return {
+    vendorId: pattern.vendor.id,
+    transactionDate: invoice.date,
+    refNumber: invoice.invoiceNumber,
+    termsId: pattern.defaults.terms.id,
+    itemLines
+  };
+}
+
+/**
+ * Convert a foreign-currency charge payload with the amount charged to the card
+ * Returns { payload, conversion }
+ */
+function convertPayload(payload, invoice, pattern, chargedAmount) {
+  if (!('accountId' in payload)) {
+    throw new CurrencyError(
+      `CONVERSION_FAILED: ${pattern.vendor.name} is billed, not charged - only credit card charges are converted`,
+      { code: 'CONVERSION_FAILED' }
+    );
+  }
+  const { itemLines, conversion } = convertItemLines(payload.itemLines, chargedAmount, {
+    sourceTotal: invoice.total,
+    from: invoice.currency,
+    to: pattern.currency.bookCurrency
+  });
+  return { payload: { ...payload, itemLines }, conversion };
+}
+
+/**
+ * Cross-check the parsed numbers and payload; returns { issues, notes }
+ * issues must be resolved before posting, notes are informational
+ */
+function reviewInvoice(invoice, pattern, payload, { conversion = null, classifications = [] } = {}) {
+  const issues = [];
+  const notes = [];
+  const lineTotal = round2(invoice.lines.reduce((sum, line) => sum + line.amount, 0));
+  const subtotal = invoice.subtotal ?? lineTotal;
+  const shipping = invoice.shipping || 0;
+
+  invoice.lines.forEach((line, i) => {
+    if (line.quantity && line.rate !== null && Math.abs(line.quantity * line.rate - line.amount) > TOLERANCE) {
+      issues.push(`Line ${i + 1}: ${line.quantity} x ${line.rate} does not equal ${line.amount.toFixed(2)}`);
+    }
+  });
+
+  if (Math.abs(lineTotal - subtotal) > TOLERANCE) {
+    issues.push(`Line amounts add up to ${lineTotal.toFixed(2)} but the invoice subtotal is ${subtotal.toFixed(2)}`);
+  }
+
+  if (invoice.total !== null && invoice.total !== undefined) {
+    const expected = round2(subtotal + shipping + (invoice.tax || 0));
+    if (Math.abs(expected - invoice.total) > TOLERANCE) {
+      issues.push(`Subtotal + shipping + tax = ${expected.toFixed(2)} but the invoice total is ${invoice.total.toFixed(2)}`);
+    }
+  } else {
+    issues.push('Invoice total not found - check the amounts by hand');
+  }
+
+  const taxRate = parseFloat(pattern.defaults.salesTaxCode.rate);
+  if (!Number.isNaN(taxRate) && invoice.tax !== null && invoice.tax !== undefined) {
+    const expectedTax = round2((subtotal + shipping) * taxRate / 100);
+    if (Math.abs(expectedTax - invoice.tax) > TOLERANCE) {
+      issues.push(`Invoice tax ${invoice.tax.toFixed(2)} differs from ${pattern.defaults.salesTaxCode.rate} of ${(subtotal + shipping).toFixed(2)} (${expectedTax.toFixed(2)})`);
+    }
+  }
+
+  const bookCurrency = pattern.currency?.bookCurrency || 'CAD';
+  if (conversion) {
+    notes.push(
+      `Converted ${conversion.from} -> ${conversion.to} at ${conversion.rate} ` +
+      `(${conversion.chargedAmount.toFixed(2)} charged / ${conversion.sourceTotal.toFixed(2)}); lines total ${conversion.linesTotal.toFixed(2)} before tax`
+    );
+  } else if (needsConversion(pattern, invoice.currency)) {
+    issues.push(`Amounts are in ${invoice.currency} - pass the ${bookCurrency} amount charged to the card (--charged) to convert`);
+  } else if (invoice.currency !== bookCurrency) {
+    issues.push(`Amounts are in ${invoice.currency} - convert to ${bookCurrency} before posting`);
+  }
+
+  payload.itemLines.forEach((line, i) => {
+    if (!line.itemId) issues.push(`Item line ${i + 1} has no item - pick one from commonItems`);
+  });
+  classifications.forEach((c, i) => {
+    if (c.itemId && c.needsReview) {
+      const matched = c.matchedKeywords.length > 0 ? `matched ${c.matchedKeywords.join(', ')}` : 'no keywords matched';
+      issues.push(`Item line ${i + 1}: ${c.itemName} is a guess (confidence ${c.confidence}, ${matched}) - check the item`);
+    }
+  });
+
+  if ('accountId' in payload && !payload.accountId) {
+    issues.push('No credit card account - pass creditCardAccountId (--card-account)');
+  }
+
+  if (pattern.transactionType?.type === 'credit_card_charge') {
+    if (invoice.poNumber) notes.push(`Invoice references PO "${invoice.poNumber}" - charges are not linked to POs`);
+  } else if (/^verbal$/i.test(invoice.poNumber || '')) {
+    notes.push('Verbal order - linked to an open PO if one matches, otherwise posted without one');
+  } else if (invoice.poNumber) {
+    notes.push(`Invoice references PO "${invoice.poNumber}" - the bill is linked to it when posted (refused if it is not open)`);
+  }
+  if (invoice.tax) {
+    notes.push(`Tax ${invoice.tax.toFixed(2)} is not a line - QuickBooks calculates it from salesTaxCodeId`);
+  }
+
+  return { issues, notes };
+}
+
+/**
+ * Full pipeline for one PDF
+ * chargedAmount: book-currency amount charged to the card, for vendors with currency.autoConvert
+ * Returns { file, vendor, transactionType, method, invoice, payload, conversion, classifications, issues, notes }
+ */
+async function ingestInvoice(file, { patterns, creditCardAccountId, chargedAmount = null } = {}) {
+  const text = await extractText(file);
+  const match = identifyVendor(text, patterns);
+  const pattern = match.pattern;
+
+  const invoice = parseInvoice(text, pattern, file);
+  const classifications = classifyLines(invoice, pattern);
+  let payload = buildPayload(invoice, pattern, { creditCardAccountId, classifications });
+  let conversion = null;
+  if (chargedAmount !== null && chargedAmount !== undefined && needsConversion(pattern, invoice.currency)) {
+    ({ payload, conversion } = convertPayload(payload, invoice, pattern, chargedAmount));
+  }
+  const transactionType = pattern.transactionType?.type || 'bill';
+
+  return {
+    file,
+    vendor: { id: pattern.vendor.id, name: pattern.vendor.name, patternFile: match.file, matchedOn: match.matchedOn },
+    transactionType,
+    method: TRANSACTION_METHODS[transactionType],
+    invoice,
+    payload,
+    conversion,
+    classifications,
+    ...reviewInvoice(invoice, pattern, payload, { conversion, classifications })
+  };
+}
+
+module.exports = {
+  extractText,
+  identifyVendor,
+  parseInvoice,
+  classifyLines,
+  buildPayload,
+  convertPayload,
+  reviewInvoice,
+  ingestInvoice
+};
@@ -0,0 +1,350 @@
+/**
+ * Invoice Layout Parsers
+ * Turn the text extracted from a vendor PDF into a normalized invoice:
+ *   { invoiceNumber, date, poNumber, currency, lines, subtotal, shipping, tax, total }
+ * lines: [{ partNumber, description, quantity, rate, amount }]
+ *
+ * Each vendor pattern names its layout in "invoiceFormat.layout"; dates are read
+ * with the pattern's "invoiceFormat.dateFormat" (DD/MM/YYYY or MM/DD/YYYY)
+ */
+
+const AMOUNT = /^(?:\d{1,3}(?:,\d{3})+|\d+)\.\d{2}$/;
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = parseFloat(String(value).replace(/[$,\s]/g, ''));
+  return Number.isNaN(n) ? null : n;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function textLines(text) {
+  return text.split('\n').map(line => line.replace(/\s+/g, ' ').trim());
+}
+
+function capture(text, regex) {
+  const m = text.match(regex);
+  return m ? m[1].trim() : null;
+}
+
+/**
+ * "27/01/2026" + "DD/MM/YYYY" -> "2026-01-27"; two-digit years are 20xx
+ */
+function parseDate(value, dateFormat = 'MM/DD/YYYY') {
+  const m = value?.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{2}|\d{4})$/);
+  if (!m) return null;
+
+  const dayFirst = dateFormat.toUpperCase().startsWith('D');
+  const day = parseInt(dayFirst ? m[1] : m[2], 10);
+  const month = parseInt(dayFirst ? m[2] : m[1], 10);
+  const year = m[3].length === 2 ? 2000 + parseInt(m[3], 10) : parseInt(m[3], 10);
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Split a line whose quantity, rate and amount columns were extracted with no
+ * separators, e.g. "45170-0390-15_01245.0090.00" -> 45170-0390-15_01 | 2 | 45.00 | 90.00
+ * The split chosen is the one where quantity x rate = amount. When the quantity
+ * is already known (it sits on its own line) only rate + amount are split.
+ * Returns { prefix, quantity, rate, amount } or null
+ */
+function splitGluedNumbers(line, knownQuantity = null) {
+  for (let j = 1; j < line.length; j++) {
+    const amountText = line.slice(j);
+    if (!AMOUNT.test(amountText) || /^0\d/.test(amountText)) continue;
+    const amount = toNumber(amountText);
+
+    for (let i = 0; i < j; i++) {
+      const rateText = line.slice(i, j);
+      if (!AMOUNT.test(rateText) || /^0\d/.test(rateText)) continue;
+      const rate = toNumber(rateText);
+
+      if (knownQuantity !== null) {
+        if (Math.abs(knownQuantity * rate - amount) < 0.005) {
+          return { prefix: line.slice(0, i), quantity: knownQuantity, rate, amount };
+        }
+        continue;
+      }
+
+      for (let k = i - 1; k >= Math.max(0, i - 5); k--) {
+        const quantityText = line.slice(k, i);
+        if (!/^\d+$/.test(quantityText) || /^0/.test(quantityText)) continue;
+        const quantity = parseInt(quantityText, 10);
+        if (Math.abs(quantity * rate - amount) < 0.005) {
+          return { prefix: line.slice(0, k), quantity, rate, amount };
+        }
+      }
+    }
+  }
+  return null;
+}
+
+// "TINSet of 6 Die Sections" -> ["TIN", "Set of 6 Die Sections"]
+function splitLeadingCode(text) {
+  const m = text.match(/^([A-Z0-9][A-Z0-9-]*)([A-Z][a-z].*)$/);
+  return m ? [m[1], m[2]] : [null, text];
+}
+
+function linesBetween(lines, start, end) {
+  const from = lines.findIndex(line => start.test(line));
+  if (from === -1) return [];
+  const rest = lines.slice(from + 1);
+  const to = rest.findIndex(line => end.test(line));
+  return to === -1 ? rest : rest.slice(0, to);
+}
+
+// ============================================================
+// LAYOUTS
+// ============================================================
+
+/**
+ * QuickBooks Online invoices (Valk's Machinery, J&B Machining)
+ * Columns run together: "DESCRIPTIONQTYRATEAMOUNT", "PhotoEye150.0050.00"
+ * With an ACTIVITY column rows also start with the date and the activity name:
+ * "09/01/2026PartsArbor Nose2400.00800.00"
+ */
+function parseQuickBooksOnline(text, { dateFormat }) {
+  const lines = textLines(text);
+  const header = lines.find(line => /DESCRIPTIONQTYRATEAMOUNT$/.test(line)) || '';
+  const hasActivity = header.includes('ACTIVITY');
+  const items = [];
+  let pending = [];
+
+  for (const line of linesBetween(lines, /DESCRIPTIONQTYRATEAMOUNT$/, /^SUBTOTAL/)) {
+    const split = splitGluedNumbers(line);
+    if (!split) {
+      if (line) pending.push(line);
+      continue;
+    }
+
+    let description = split.prefix.replace(/^\d{1,2}\/\d{1,2}\/\d{2,4}/, '');
+    let activity = null;
+    if (hasActivity) {
+      const m = description.match(/^([A-Z][\w&/-]*?[a-z])([A-Z].*)$/);
+      if (m) [, activity, description] = m;
+    }
+
+    items.push({
+      partNumber: null,
+      activity,
+      description: [...pending, description].join(' ').trim(),
+      quantity: split.quantity,
+      rate: split.rate,
+      amount: split.amount
+    });
+    pending = [];
+  }
+
+  return {
+    invoiceNumber: capture(text, /^INVOICE\s*#?\s*(\d[\w-]*)\s*$/m),
+    date: parseDate(capture(text, /^DATE\s*(\d{1,2}\/\d{1,2}\/\d{2,4})\s*$/m), dateFormat),
+    poNumber: capture(text, /^P\.O\. NUMBER\s*\n(.+)$/m),
+    lines: items,
+    subtotal: toNumber(capture(text, /^SUBTOTAL\s*([\d,]+\.\d{2})\s*$/m)),
+    shipping: toNumber(capture(text, /^SHIPPING\s*([\d,]+\.\d{2})\s*$/m)),
+    tax: toNumber(capture(text, /^(?:GST\/HST|HST).*?%\s*([\d,]+\.\d{2})\s*$/m)),
+    total: toNumber(capture(text, /^TOTAL\s*([\d,]+\.\d{2})\s*$/m))
+  };
+}
+
+/**
+ * Sputtek invoices - description may wrap, then " 1 324.82 324.82T"
+ * Totals are printed as "CAD <total>", "CAD <subtotal>", "CAD <tax>"
+ */
+function parseSputtek(text, { dateFormat }) {
+  const lines = textLines(text);
+  const items = [];
+  let pending = [];
+
+  for (const line of linesBetween(lines, /^ItemDescriptionQuantity/, /^(HST|GST|CAD)\b/)) {
+    const m = line.match(/^(\d+(?:\.\d+)?) ([\d,]+\.\d{2}) ([\d,]+\.\d{2})T?$/);
+    if (!m) {
+      if (line) pending.push(line);
+      continue;
+    }
+    const [partNumber, first] = splitLeadingCode(pending[0] || '');
+    items.push({
+      partNumber,
+      description: [first, ...pending.slice(1)].join(' ').trim(),
+      quantity: toNumber(m[1]),
+      rate: toNumber(m[2]),
+      amount: toNumber(m[3])
+    });
+    pending = [];
+  }
+
+  const totals = [...text.matchAll(/^([A-Z]{3}) ([\d,]+\.\d{2})\s*$/gm)];
+  // Terms share the P.O. column ("2% 15 NET 31"); whatever precedes them is the PO
+  const poLine = capture(text, /^P\.O\. No\.\s*Terms\s*\n(.+)$/m) || '';
+  const poNumber = poLine.replace(/(\d+% \d+ )?NET \d+\s*$/i, '').trim();
+
+  return {
+    invoiceNumber: capture(text, /^Invoice #\s*\n(\S+)/m),
+    date: parseDate(capture(text, /^Date\s*\n(\S+)/m), dateFormat),
+    poNumber: poNumber || null,
+    currency: totals[0]?.[1] || null,
+    lines: items,
+    subtotal: toNumber(totals[1]?.[2]),
+    shipping: null,
+    tax: toNumber(capture(text, /^(?:HST|GST).*%\s*([\d,]+\.\d{2})\s*$/m)),
+    total: toNumber(totals[0]?.[2])
+  };
+}
+
+/**
+ * T.N.T. Tools invoices - quantity on its own line, description lines,
+ * then unit price and amount run together: "27.00216.00"
+ */
+function parseTntTools(text, { dateFormat }) {
+  const lines = textLines(text);
+  const items = [];
+  let current = null;
+
+  for (const line of linesBetween(lines, /^QtyDescription/, /^TAX$/)) {
+    if (/^\d+(\.\d+)?$/.test(line)) {
+      current = { quantity: toNumber(line), description: [] };
+      continue;
+    }
+    if (!current) continue;
+
+    const split = /^[\d,.]+$/.test(line) ? splitGluedNumbers(line, current.quantity) : null;
+    if (split && split.prefix === '') {
+      items.push({
+        partNumber: null,
+        description: current.description.join(' - '),
+        quantity: current.quantity,
+        rate: split.rate,
+        amount: split.amount
+      });
+      current = null;
+    } else if (line) {
+      current.description.push(line);
+    }
+  }
+
+  const dateAndNumber = text.match(/^Date\s*Invoice#\s*\n(\d{1,2}\/\d{1,2}\/\d{4})(\S+)/m);
+
+  return {
+    invoiceNumber: dateAndNumber ? dateAndNumber[2] : null,
+    date: dateAndNumber ? parseDate(dateAndNumber[1], dateFormat) : null,
+    poNumber: capture(text, /^P\.O\. NUMBER.*\n(.+)$/m),
+    lines: items,
+    subtotal: null,
+    shipping: null,
+    tax: toNumber(capture(text, /^TAX\s*\n([\d,]+\.\d{2})/m)),
+    total: toNumber(capture(text, /^TOTAL\s*\n([\d,]+\.\d{2})/m))
+  };
+}
+
+/**
+ * McMaster-Carr receipts - each row starts with the line number glued to the
+ * part number ("18538K33Wear-Rst ..."), description wraps, then ordered qty,
+ * unit, shipped/balance/price run together, unit, and the line total
+ */
+function parseMcMasterReceipt(text, { dateFormat }) {
+  const lines = textLines(text);
+  const items = [];
+  let current = null;
+
+  const finish = () => {
+    if (!current) return;
+    const amount = current.numbers[current.numbers.length - 1] ?? null;
+    items.push({
+      partNumber: current.partNumber,
+      description: current.description.join(' '),
+      quantity: current.quantity,
+      rate: amount !== null && current.quantity ? round2(amount / current.quantity) : null,
+      amount
+    });
+    current = null;
+  };
+
+  for (const line of linesBetween(lines, /^LineProduct/, /^Merchandise\b/)) {
+    const lineNumber = String(items.length + (current ? 2 : 1));
+    const start = line.startsWith(lineNumber)
+      ? line.slice(lineNumber.length).match(/^(\d{4,5}[A-Z]\d{1,4})([A-Z].*)$/)
+      : null;
+
+    if (start) {
+      finish();
+      current = { partNumber: start[1], description: [start[2]], quantity: null, numbers: [] };
+    } else if (!current) {
+      continue;
+    } else if (current.quantity === null && /^\d+$/.test(line)) {
+      current.quantity = parseInt(line, 10);
+    } else if (current.quantity === null) {
+      current.description.push(line);
+    } else if (AMOUNT.test(line)) {
+      current.numbers.push(toNumber(line));
+    }
+  }
+  finish();
+
+  const currency = /\(US Dollars\)/.test(text) ? 'USD' : /\(Canadian Dollars\)/.test(text) ? 'CAD' : null;
+
+  return {
+    invoiceNumber: capture(text, /^Invoice (\d+)\s*$/m),
+    date: parseDate(capture(text, /^Invoice Date (\S+)/m), dateFormat),
+    poNumber: capture(text, /^Purchase Order (\S+)/m),
+    currency,
+    lines: items,
+    subtotal: toNumber(capture(text, /^Merchandise ([\d,]+\.\d{2})/m)),
+    shipping: toNumber(capture(text, /^Shipping ([\d,]+\.\d{2})/m)),
+    tax: toNumber(capture(text, /^Canadian GST\/HST ([\d,]+\.\d{2})/m)),
+    total: toNumber(capture(text, /^Total \([^)]*\) \$([\d,]+\.\d{2})/m))
+  };
+}
+
+/**
+ * Bolts Plus (NetSuite) invoices - part number line, description lines, then
+ * "  2$1.81386EA$3.63" (quantity, price, UOM, amount)
+ */
+function parseBoltsPlus(text, { dateFormat }) {
+  const lines = textLines(text);
+  const items = [];
+  let pending = [];
+
+  for (const line of linesBetween(lines, /^ItemQuantityPrice/, /^(Subtotal|All returns)/)) {
+    const m = line.match(/^(\d+(?:\.\d+)?)\$([\d,]+\.\d+?)([A-Z]{1,4})\$([\d,]+\.\d{2})$/);
+    if (!m) {
+      if (line) pending.push(line);
+      continue;
+    }
+    items.push({
+      partNumber: pending[0] || null,
+      description: pending.slice(1).join(' '),
+      quantity: toNumber(m[1]),
+      rate: toNumber(m[2]),
+      amount: toNumber(m[4])
+    });
+    pending = [];
+  }
+
+  // "Net 30 Days2/27/2026Ilan" - the PO # column follows the due date
+  const poNumber = capture(text, /\d{1,2}\/\d{1,2}\/\d{4}(\S.*)$/m);
+
+  return {
+    invoiceNumber: capture(text, /^#(\S+)/m),
+    date: parseDate(capture(text, /^Date:\s*(\S+)/m), dateFormat),
+    poNumber: poNumber || null,
+    lines: items,
+    subtotal: toNumber(capture(text, /^Subtotal \$([\d,]+\.\d{2})/m)),
+    shipping: toNumber(capture(text, /^Shipping Cost \$([\d,]+\.\d{2})/m)),
+    tax: toNumber(capture(text, /^(?:HST|GST).*\$([\d,]+\.\d{2})\s*$/m)),
+    total: toNumber(capture(text, /^Total \$([\d,]+\.\d{2})/m))
+  };
+}
+
+const LAYOUTS = {
+  quickbooks_online: parseQuickBooksOnline,
+  sputtek: parseSputtek,
+  tnt_tools: parseTntTools,
+  mcmaster_receipt: parseMcMasterReceipt,
+  bolts_plus: parseBoltsPlus
+};
+
+module.exports = { LAYOUTS, parseDate, splitGluedNumbers, toNumber, round2 };
@@ -0,0 +1,151 @@
+/**
+ * Item Classifier
+ * Picks the QuickBooks item for an invoice line from its description, using the
+ * `keywords` listed on items in the vendor pattern's commonItems
+ * (e.g. "stainless" -> Raw Materials:Stainless Steel, "screw" -> Components:Fastener)
+ *
+ * Falls back to the vendor's only item, then to the service items in
+ * _common_references.json. Anything below REVIEW_BELOW is flagged for a person
+ * to check rather than posted on a guess
+ */
+
+const { loadCommonReferences } = require('./pattern-loader');
+
+const REVIEW_BELOW = 0.7;
+
+// A keyword naming the thing bought outweighs material words describing it
+const HEAD_NOUN_WEIGHT = 3;
+
+// Words in common item names that say nothing about the work
+const NAME_STOPWORDS = new Set(['subcontractor', 'general', 'and', 'the']);
+
+/**
+ * Every { id, name, keywords } found anywhere under commonItems, with the
+ * path it was found at (e.g. "components.fastener")
+ */
+function collectItems(node, pathParts = []) {
+  if (!node || typeof node !== 'object') return [];
+  if (Array.isArray(node)) return node.flatMap((child, i) => collectItems(child, [...pathParts, String(i)]));
+
+  const items = [];
+  if (typeof node.id === 'string' && node.name) {
+    items.push({ id: node.id, name: node.name, keywords: node.keywords || [], path: pathParts.join('.') });
+  }
+  Object.entries(node).forEach(([key, child]) => {
+    if (typeof child === 'object' && !key.startsWith('_')) items.push(...collectItems(child, [...pathParts, key]));
+  });
+  return items;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole words only ("pin" is not in "spindle"), plurals allowed ("screws")
+function containsKeyword(text, keyword) {
+  const pattern = new RegExp(`(^|[^a-z0-9])${escapeRegExp(keyword.toLowerCase())}(e?s)?(?=[^a-z0-9]|$)`);
+  return pattern.test(text);
+}
+
+// "Stainless Steel Helical Insert, M6 x 1" -> "insert": the thing being bought
+function headNoun(text) {
+  const words = text.split(',')[0].trim().split(/\s+/);
+  return words[words.length - 1] || '';
+}
+
+/**
+ * Score the pattern's keyword items against a description
+ * A keyword that is the head noun counts HEAD_NOUN_WEIGHT, so
+ * "Stainless Steel Set Screw, 18-8" is a fastener rather than stainless stock
+ */
+function scoreKeywordItems(text, items) {
+  const head = headNoun(text);
+  return items
+    .filter(item => item.keywords.length > 0)
+    .map(item => {
+      const matched = item.keywords.filter(keyword => containsKeyword(text, keyword));
+      const score = matched.reduce((sum, keyword) => sum + (containsKeyword(head, keyword) ? HEAD_NOUN_WEIGHT : 1), 0);
+      return { item, matched, score };
+    })
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+// "Subcontractor:Heat Treating" -> ["heat", "treat"]: word stems to look for
+function nameStems(name) {
+  const last = name.split(':').pop();
+  return last.toLowerCase().split(/[^a-z0-9]+/)
+    .filter(word => word.length >= 3 && !NAME_STOPWORDS.has(word))
+    .map(word => word.slice(0, 5));
+}
+
+function matchServiceItem(text, references) {
+  const words = text.split(/[^a-z0-9]+/).filter(Boolean);
+  const services = collectItems(references.serviceItems || {});
+  return services
+    .map(item => {
+      const matched = nameStems(item.name)
+        .map(stem => words.find(word => word.startsWith(stem)))
+        .filter(Boolean);
+      return { item, matched, score: matched.length };
+    })
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+function result(item, confidence, matchedKeywords, source, alternatives = []) {
+  const rounded = Math.round(confidence * 100) / 100;
+  return {
+    itemId: item ? item.id : null,
+    itemName: item ? item.name : null,
+    confidence: rounded,
+    matchedKeywords,
+    source,
+    needsReview: rounded < REVIEW_BELOW,
+    alternatives: alternatives.map(c => ({ itemId: c.item.id, itemName: c.item.name, matchedKeywords: c.matched }))
+  };
+}
+
+/**
+ * Classify one line description against a vendor pattern
+ * Returns {
+ *   itemId, itemName, confidence (0-1), matchedKeywords,
+ *   source: 'vendor_keywords' | 'vendor_primary' | 'common_service' | 'default',
+ *   needsReview, alternatives
+ * }
+ */
+function classifyItem(description, pattern, { references = loadCommonReferences() } = {}) {
+  const text = String(description || '').toLowerCase();
+  const items = collectItems(pattern.commonItems || {});
+
+  // 1. Keywords from the vendor pattern
+  const scored = scoreKeywordItems(text, items);
+  if (scored.length > 0) {
+    const [best, ...others] = scored;
+    const runnerUp = others.find(c => c.item.id !== best.item.id);
+    const margin = best.score - (runnerUp ? runnerUp.score : 0);
+    return result(best.item, Math.min(0.95, 0.55 + 0.2 * margin), best.matched, 'vendor_keywords', runnerUp ? [runnerUp] : []);
+  }
+
+  // 2. A vendor that only ever uses one item
+  const primary = pattern.commonItems?.primary;
+  const services = matchServiceItem(text, references);
+  const singleItem = primary && items.filter(item => item.id !== primary.id).length === 0;
+  if (singleItem) {
+    const agrees = services[0]?.item.id === primary.id;
+    return result(primary, agrees ? 0.9 : 0.8, agrees ? services[0].matched : [], 'vendor_primary');
+  }
+
+  // 3. Service items named in the description ("grinding", "heat treat")
+  if (services.length > 0) {
+    const [best, runnerUp] = services;
+    const tied = runnerUp && runnerUp.score === best.score;
+    return result(best.item, tied ? 0.4 : 0.6, best.matched, 'common_service', runnerUp ? [runnerUp] : []);
+  }
+
+  // 4. Nothing matched - the vendor's usual item, or the Subcontractor parent item
+  if (primary) return result(primary, 0.5, [], 'vendor_primary');
+  return result(references.serviceItems?.subcontractor || null, 0.2, [], 'default');
+}
+
+module.exports = { REVIEW_BELOW, classifyItem, collectItems };
@@ -0,0 +1,195 @@
+/**
+ * List Cache
+ * Local copy of the QuickBooks lists and transactions we search most, one
+ * cache/<resource>.json per endpoint, so duplicate checks, PO lookups and
+ * vendor matching read from disk instead of paging through the Web Connector.
+ *
+ * Each sync asks Conductor only for records changed since the last one
+ * (updatedAfter) and for what was deleted since (deleted-transactions /
+ * deleted-list-objects). ConductorClient.syncCache() does the requests; this
+ * module keeps the files. Writes never trust the cache - see the client's
+ * `{ live: true }` lookups
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// CONDUCTOR_CACHE_DIR keeps runs against the mock server away from the real cache
+const CACHE_DIR = process.env.CONDUCTOR_CACHE_DIR || path.join(__dirname, '..', 'cache');
+
+const DEFAULT_MAX_AGE_MINUTES = 15;
+
+// QuickBooks only reports deletions from the last 90 days; older caches are rebuilt
+const DELETED_HISTORY_DAYS = 90;
+
+// Deletions are asked for from a little before the last sync, in case this
+// machine's clock is ahead of the QuickBooks machine's
+const CLOCK_MARGIN_MINUTES = 10;
+
+// Resource -> how QuickBooks reports its deletions. List objects are synced
+// with status=all so a vendor made inactive is updated rather than left behind
+const CACHED_RESOURCES = {
+  'vendors': { list: true, deletedType: 'vendor' },
+  'accounts': { list: true, deletedType: 'account' },
+  'service-items': { list: true, deletedType: 'item_service' },
+  'non-inventory-items': { list: true, deletedType: 'item_non_inventory' },
+  'inventory-items': { list: true, deletedType: 'item_inventory' },
+  'other-charge-items': { list: true, deletedType: 'item_other_charge' },
+  'purchase-orders': { list: false, deletedType: 'purchase_order' },
+  'bills': { list: false, deletedType: 'bill' },
+  'credit-card-charges': { list: false, deletedType: 'credit_card_charge' }
+};
+
+function isCached(resource) {
+  return Object.prototype.hasOwnProperty.call(CACHED_RESOURCES, resource);
+}
+
+function cacheFile(resource, dir = CACHE_DIR) {
+  return path.join(dir, `${resource}.json`);
+}
+
+/**
+ * Returns { resource, syncedAt, fullSyncAt, watermark, records: { [id]: record } } or null
+ */
+function readCache(resource, dir = CACHE_DIR) {
+  const file = cacheFile(resource, dir);
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    // A half-written or hand-edited file is rebuilt on the next sync
+    console.warn(`[CACHE] WARNING: ignoring unreadable ${file}: ${e.message}`);
+    return null;
+  }
+}
+
+function writeCache(cache, dir = CACHE_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = cacheFile(cache.resource, dir);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(cache));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Minutes since the last sync (Infinity when never synced)
+ */
+function cacheAge(cache, now = Date.now()) {
+  return cache?.syncedAt ? (now - new Date(cache.syncedAt).getTime()) / 60000 : Infinity;
+}
+
+function isStale(cache, maxAgeMinutes = DEFAULT_MAX_AGE_MINUTES, now = Date.now()) {
+  return cacheAge(cache, now) >= maxAgeMinutes;
+}
+
+/**
+ * True when an incremental sync can't be trusted: never synced, or the last
+ * sync is older than QuickBooks' deletion history
+ */
+function needsFullSync(cache, now = Date.now()) {
+  if (!cache?.watermark || !cache.syncedAt) return true;
+  return cacheAge(cache, now) > DELETED_HISTORY_DAYS * 24 * 60;
+}
+
+/**
+ * Query params for the next sync of a resource
+ * Returns { params, deletedParams } - deletedParams is null for a full sync
+ */
+function syncParams(resource, cache, { full = false } = {}) {
+  const { list, deletedType } = CACHED_RESOURCES[resource];
+  const params = list ? { status: 'all' } : {};
+  if (full || needsFullSync(cache)) {
+    return { params, deletedParams: null };
+  }
+  const deletedAfter = new Date(new Date(cache.syncedAt).getTime() - CLOCK_MARGIN_MINUTES * 60000).toISOString();
+  return {
+    params: { ...params, updatedAfter: cache.watermark },
+    deletedParams: list
+      ? { objectTypes: deletedType, deletedAfter }
+      : { transactionTypes: deletedType, deletedAfter }
+  };
+}
+
+function latest(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return new Date(b) > new Date(a) ? b : a;
+}
+
+/**
+ * Fold one sync into the cache (a full sync replaces the records)
+ * The watermark is the newest updatedAt QuickBooks returned rather than the
+ * local clock, so a QuickBooks machine running behind never makes us skip changes
+ * Returns { cache, updated, deleted }
+ */
+function mergeSync(resource, cache, { records, deleted = [], full = false, syncedAt = new Date().toISOString() }) {
+  const previous = full || !cache ? {} : cache.records;
+  const merged = { ...previous };
+  let watermark = full || !cache ? null : cache.watermark;
+
+  records.forEach(record => {
+    merged[record.id] = record;
+    watermark = latest(watermark, record.updatedAt || record.createdAt);
+  });
+  let removed = 0;
+  deleted.forEach(({ id }) => {
+    if (merged[id]) removed++;
+    delete merged[id];
+  });
+
+  return {
+    cache: {
+      resource,
+      syncedAt,
+      fullSyncAt: full || !cache ? syncedAt : cache.fullSyncAt,
+      // An empty list still counts as synced as of now
+      watermark: watermark || syncedAt,
+      records: merged
+    },
+    updated: records.length,
+    deleted: removed
+  };
+}
+
+/**
+ * Keep the cache in step with a write this client made (no-op when the
+ * resource has no cache file yet). Pass record: null for a delete
+ */
+function applyWrite(resource, id, record, dir = CACHE_DIR) {
+  const cache = readCache(resource, dir);
+  if (!cache) return;
+  if (record) cache.records[id] = record;
+  else delete cache.records[id];
+  writeCache(cache, dir);
+}
+
+/**
+ * One row per cached resource for status output
+ * Returns [{ resource, records, syncedAt, ageMinutes, stale }]
+ */
+function describeCache(maxAgeMinutes = DEFAULT_MAX_AGE_MINUTES, dir = CACHE_DIR) {
+  return Object.keys(CACHED_RESOURCES).map(resource => {
+    const cache = readCache(resource, dir);
+    const age = cacheAge(cache);
+    return {
+      resource,
+      records: cache ? Object.keys(cache.records).length : 0,
+      syncedAt: cache?.syncedAt || null,
+      ageMinutes: Number.isFinite(age) ? Math.round(age) : null,
+      stale: isStale(cache, maxAgeMinutes)
+    };
+  });
+}
+
+module.exports = {
+  CACHE_DIR,
+  CACHED_RESOURCES,
+  DEFAULT_MAX_AGE_MINUTES,
+  isCached,
+  readCache,
+  writeCache,
+  isStale,
+  syncParams,
+  mergeSync,
+  applyWrite,
+  describeCache
+};
@@ -0,0 +1,228 @@
+/**
+ * Write Log Index
+ * One JSON line per write log in logs/index.jsonl, so write history can be
+ * searched by entity, vendor/payee, refNumber, status and date without opening
+ * every log file. logger.js appends a line after each write; backfillIndex()
+ * adds lines for log files written before the index existed
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const INDEX_FILE = 'index.jsonl';
+
+// Older logs used the singular ("bill"); the index always uses the endpoint name ("bills")
+const ENTITY_ALIASES = {
+  bill: 'bills',
+  invoice: 'invoices',
+  purchase_order: 'purchase_orders',
+  credit_card_charge: 'credit_card_charges',
+  vendor: 'vendors',
+  customer: 'customers'
+};
+
+function indexPath(dir) {
+  return path.join(dir, INDEX_FILE);
+}
+
+function normalizeEntity(entity) {
+  const name = String(entity || 'unknown').replace(/-/g, '_');
+  return ENTITY_ALIASES[name] || name;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Sum of line amounts; dry runs only have the payload (quantity x cost/rate)
+function linesTotal(record) {
+  const lines = [...(record.itemLines || []), ...(record.expenseLines || []), ...(record.lines || [])];
+  if (lines.length === 0) return null;
+  return round2(lines.reduce((sum, line) => {
+    const amount = line.amount ?? (line.quantity ?? 1) * (line.cost ?? line.rate ?? 0);
+    return sum + (parseFloat(amount) || 0);
+  }, 0));
+}
+
+function recordAmount(record) {
+  if (!record || record.error) return null;
+  const total = record.totalAmount ?? record.amount ?? record.amountDue;
+  return total !== undefined && total !== null ? parseFloat(total) : linesTotal(record);
+}
+
+// The vendor, payee or customer a write was for - name from the response when there is one
+function recordParty(entry) {
+  const sources = [entry.response, entry.before, entry.request];
+  for (const source of sources) {
+    if (!source || source.error) continue;
+    const ref = source.vendor || source.payee || source.customer;
+    if (ref?.id) return { id: ref.id, name: ref.fullName || ref.name || null };
+  }
+  const request = entry.request || {};
+  const id = request.vendorId || request.payeeId || request.customerId || null;
+  if (id) return { id, name: null };
+
+  // Writes to vendors/customers are about the record itself
+  const entity = normalizeEntity(entry.entity);
+  if (entity === 'vendors' || entity === 'customers') {
+    const record = entry.response?.id ? entry.response : entry.before || entry.request || {};
+    return { id: record.id || null, name: record.name || record.fullName || null };
+  }
+  return { id: null, name: null };
+}
+
+function errorMessage(response) {
+  const error = response?.error?.error || response?.error;
+  return error ? error.message || String(error) : null;
+}
+
+// ISO string, or null for a missing or unparseable timestamp
+function validTimestamp(value) {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+/**
+ * Index line for one parsed log file
+ * fallbackTime is used when the log has no valid timestamp (backfill passes the file mtime)
+ * Returns { file, timestamp, action, entity, status, refNumber, id, partyId,
+ * partyName, transactionDate, amount, error, undoOf }
+ */
+function summarizeLog(entry, file, fallbackTime = new Date()) {
+  const record = entry.response && !entry.response.error ? entry.response : null;
+  const party = recordParty(entry);
+  return {
+    file,
+    timestamp: validTimestamp(entry.timestamp) || new Date(fallbackTime).toISOString(),
+    action: entry.action || null,
+    entity: normalizeEntity(entry.entity),
+    status: entry.status || null,
+    refNumber: entry.refNumber || null,
+    id: record?.id || entry.before?.id || null,
+    partyId: party.id,
+    partyName: party.name,
+    transactionDate: record?.transactionDate || entry.request?.transactionDate || null,
+    amount: recordAmount(record || entry.request),
+    error: errorMessage(entry.response),
+    undoOf: entry.undoOf || null
+  };
+}
+
+/**
+ * Append one log to the index (called by logWriteAction)
+ */
+function appendToIndex(dir, entry, file, fallbackTime) {
+  fs.appendFileSync(indexPath(dir), JSON.stringify(summarizeLog(entry, file, fallbackTime)) + '\n');
+}
+
+/**
+ * Index lines in write order; a torn last line (crash mid-append) is skipped
+ * Failed writes only know the party ID - its name is taken from other lines
+ */
+function readIndex(dir) {
+  const file = indexPath(dir);
+  if (!fs.existsSync(file)) return [];
+  const lines = fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  const names = new Map(lines.filter(line => line.partyId && line.partyName).map(line => [line.partyId, line.partyName]));
+  return lines.map(line => (line.partyName || !names.has(line.partyId) ? line : { ...line, partyName: names.get(line.partyId) }));
+}
+
+/**
+ * Index every log file in `dir` that is not in the index yet, oldest first
+ * Logs without a valid timestamp are indexed at the file's modification time
+ * Returns { added, skipped: [{ file, error }] } - safe to run repeatedly
+ */
+function backfillIndex(dir) {
+  const indexed = new Set(readIndex(dir).map(line => line.file));
+  const skipped = [];
+
+  const entries = fs.readdirSync(dir)
+    .filter(f => f.endsWith('.json') && !indexed.has(f))
+    .map(file => {
+      try {
+        const fullPath = path.join(dir, file);
+        const entry = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+        if (!entry || typeof entry !== 'object') throw new Error('not a write log');
+        const timestamp = validTimestamp(entry?.timestamp) || fs.statSync(fullPath).mtime.toISOString();
+        return { file, entry, timestamp };
+      } catch (e) {
+        skipped.push({ file, error: e.message });
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+  entries.forEach(({ file, entry, timestamp }) => appendToIndex(dir, entry, file, timestamp));
+  return { added: entries.length, skipped };
+}
+
+function looseText(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Filter index lines
+ * filters: { entity, party (ID or part of the name), refNumber, status, action,
+ * from, to (YYYY-MM-DD, inclusive, on the write timestamp) }
+ */
+function queryIndex(lines, { entity, party, refNumber, status, action, from, to } = {}) {
+  const wantedEntity = entity ? normalizeEntity(entity) : null;
+  const partyText = party ? looseText(party) : null;
+
+  return lines.filter(line => {
+    if (wantedEntity && line.entity !== wantedEntity) return false;
+    if (status && line.status !== status) return false;
+    if (action && line.action !== action) return false;
+    if (refNumber && line.refNumber !== refNumber) return false;
+    if (partyText && line.partyId !== party && !looseText(line.partyName).includes(partyText)) return false;
+    const day = line.timestamp.slice(0, 10);
+    if (from && day < from) return false;
+    if (to && day > to) return false;
+    return true;
+  });
+}
+
+/**
+ * Counts by status, and writes/amounts by entity for those that went through
+ * (success or recovered). Only creates add to amounts - an update repeats the total
+ * Returns { count, byStatus: { status: n }, byEntity: { entity: { count, amount } }, amount }
+ */
+function summarizeIndex(lines) {
+  const summary = { count: lines.length, byStatus: {}, byEntity: {}, amount: 0 };
+  lines.forEach(line => {
+    const status = line.status || 'unknown';
+    summary.byStatus[status] = (summary.byStatus[status] || 0) + 1;
+    if (line.status !== 'success' && line.status !== 'recovered') return;
+    const entity = summary.byEntity[line.entity] || { count: 0, amount: 0 };
+    entity.count++;
+    if (line.action === 'create' && line.amount) {
+      entity.amount = round2(entity.amount + line.amount);
+      summary.amount = round2(summary.amount + line.amount);
+    }
+    summary.byEntity[line.entity] = entity;
+  });
+  return summary;
+}
+
+module.exports = {
+  INDEX_FILE,
+  normalizeEntity,
+  summarizeLog,
+  appendToIndex,
+  readIndex,
+  backfillIndex,
+  queryIndex,
+  summarizeIndex
+};
@@ -1,12 +1,15 @@
 /**
  * Write Action Logger
- * Logs all WRITE actions (POST, PUT, DELETE) to /logs folder
+ * Logs all WRITE actions (POST, PUT, DELETE) and dry-run previews to /logs folder,
+ * one file per write plus a line in logs/index.jsonl (see log-index.js)
  */
 
 const fs = require('fs');
 const path = require('path');
+const { appendToIndex } = require('./log-index');
 
-const LOGS_DIR = path.join(__dirname, '..', 'logs');
+// CONDUCTOR_LOGS_DIR keeps runs against the mock server out of the real audit trail
+const LOGS_DIR = process.env.CONDUCTOR_LOGS_DIR || path.join(__dirname, '..', 'logs');
 
 function ensureLogsDir() {
   if (!fs.existsSync(LOGS_DIR)) {
@@ -18,14 +21,16 @@ function sanitizeFilename(str) {
   return str.replace(/[^a-zA-Z0-9-_]/g, '-').substring(0, 50);
 }
 
-function logWriteAction({ action, entity, endpoint, request, response, status, refNumber, linkedEntities }) {
+function logWriteAction({ action, entity, endpoint, request, response, status, refNumber, linkedEntities, before, undoOf }) {
   ensureLogsDir();
 
   const timestamp = new Date().toISOString();
   const safeTimestamp = timestamp.replace(/[:.]/g, '-');
   const safeRef = refNumber ? sanitizeFilename(refNumber) : 'no-ref';
 
-  const filename = `${action}_${entity}_${safeRef}_${safeTimestamp}.json`;
+  // Dry runs get their own prefix so previews never look like real postings
+  const prefix = status === 'dry_run' ? 'dry-run_' : '';
+  const filename = `${prefix}${action}_${entity}_${safeRef}_${safeTimestamp}.json`;
   const filepath = path.join(LOGS_DIR, filename);
 
   const logEntry = {
@@ -40,11 +45,28 @@ function logWriteAction({ action, entity, endpoint, request, response, status, r
     linkedEntities: linkedEntities || []
   };
 
+  // Updates, voids and deletes record the record as it was before the write
+  if (before) {
+    logEntry.before = before;
+  }
+
+  // Reversals made by undo.js name the log file of the write they reverse
+  if (undoOf) {
+    logEntry.undoOf = undoOf;
+  }
+
   fs.writeFileSync(filepath, JSON.stringify(logEntry, null, 2));
 
-  console.log(`[LOG] Written to: logs/${filename}`);
+  // The log file is the record; a failed index append is fixed by "audit-log.js backfill"
+  try {
+    appendToIndex(LOGS_DIR, logEntry, filename);
+  } catch (e) {
+    console.log(`[LOG] Index not updated (${e.message}) - run node audit-log.js backfill`);
+  }
+
+  console.log(`[LOG] Written to: ${path.relative(process.cwd(), filepath)}`);
 
   return filepath;
 }
 
-module.exports = { logWriteAction };
+module.exports = { LOGS_DIR, logWriteAction };
@@ -0,0 +1,535 @@
+/**
+ * Offline Conductor Mock Server
+ * Local stand-in for the /v1/quickbooks-desktop/* endpoints used by ConductorClient,
+ * seeded from the write-action logs in /logs so the client can run without QuickBooks
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const LOGS_DIR = path.join(__dirname, '..', 'logs');
+const MAX_LIMIT = 150;
+
+// Query parameter -> record field it filters on
+const ID_FILTERS = {
+  ids: r => r.id,
+  vendorIds: r => r.vendor?.id,
+  payeeIds: r => r.payee?.id,
+  customerIds: r => r.customer?.id,
+  accountIds: r => r.account?.id,
+  refNumbers: r => r.refNumber
+};
+
+// Transactions QuickBooks refuses to save without at least one line (3180)
+const LINE_KEYS = {
+  'bills': ['itemLines', 'expenseLines'],
+  'credit-card-charges': ['itemLines', 'expenseLines'],
+  'checks': ['itemLines', 'expenseLines'],
+  'invoices': ['lines'],
+  'purchase-orders': ['lines']
+};
+
+function singular(resource) {
+  return resource.replace(/-/g, '_').replace(/ies$/, 'y').replace(/s$/, '');
+}
+
+function newId() {
+  const seconds = Math.floor(Date.now() / 1000);
+  const counter = (newId.counter = (newId.counter || 0x50000) + 1);
+  return `${counter.toString(16).toUpperCase()}-${seconds}`;
+}
+
+function encodeCursor(offset) {
+  return Buffer.from(String(offset)).toString('base64');
+}
+
+function decodeCursor(cursor) {
+  const offset = parseInt(Buffer.from(cursor, 'base64').toString('utf8'), 10);
+  return Number.isNaN(offset) ? null : offset;
+}
+
+function conductorError(status, type, code, message, extra = {}) {
+  return {
+    status,
+    body: {
+      error: {
+        message,
+        userFacingMessage: message,
+        type,
+        code,
+        httpStatusCode: status,
+        requestId: `req_mock_${Date.now()}`,
+        ...extra
+      }
+    }
+  };
+}
+
+class MockConductorServer {
+  constructor({ logsDir = LOGS_DIR, apiKey = null, endUserId = null, seed = true } = {}) {
+    this.apiKey = apiKey;
+    this.endUserId = endUserId;
+    this.store = {};          // resource -> Map(id -> record)
+    this.injectedErrors = []; // queued { status, type, code, message, match }
+    this.requests = [];       // request history, for assertions
+    this.server = null;
+
+    if (seed) {
+      this.seedFromLogs(logsDir);
+    }
+  }
+
+  // ============================================================
+  // SEEDING
+  // ============================================================
+
+  /**
+   * Load successful responses from logs/*.json into the store
+   * Vendors/payees and linked POs referenced by those records are added as stubs
+   */
+  seedFromLogs(logsDir = LOGS_DIR) {
+    if (!fs.existsSync(logsDir)) return;
+
+    const entries = fs.readdirSync(logsDir)
+      .filter(f => f.endsWith('.json'))
+      .map(f => {
+        try {
+          return JSON.parse(fs.readFileSync(path.join(logsDir, f), 'utf8'));
+        } catch (e) {
+          return null;
+        }
+      })
+      .filter(entry => entry?.status === 'success' && entry.response?.id)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    for (const entry of entries) {
+      const resource = entry.endpoint?.match(/\/quickbooks-desktop\/([^\/\?]+)/)?.[1];
+      if (!resource) continue;
+
+      if (entry.action === 'delete') {
+        this._collection(resource).delete(entry.response.id);
+        continue;
+      }
+
+      const record = { ...entry.response };
+      record.updatedAt = record.updatedAt || record.createdAt;
+      this._collection(resource).set(record.id, record);
+    }
+
+    this._seedReferencedEntities();
+  }
+
+  _seedReferencedEntities() {
+    const vendors = this._collection('vendors');
+    const purchaseOrders = this._collection('purchase-orders');
+
+    for (const [resource, records] of Object.entries(this.store)) {
+      if (resource === 'vendors') continue;
+
+      for (const record of records.values()) {
+        const party = record.vendor || record.payee;
+        if (party?.id && !vendors.has(party.id)) {
+          vendors.set(party.id, {
+            id: party.id,
+            objectType: 'qbd_vendor',
+            name: party.fullName,
+            companyName: party.fullName,
+            isActive: true,
+            balance: '0.00',
+            createdAt: record.createdAt,
+            updatedAt: record.updatedAt
+          });
+        }
+
+        for (const txn of record.linkedTransactions || []) {
+          if (txn.transactionType === 'purchase_order' && !purchaseOrders.has(txn.id)) {
+            purchaseOrders.set(txn.id, {
+              id: txn.id,
+              objectType: 'qbd_purchase_order',
+              refNumber: txn.refNumber,
+              vendor: record.vendor,
+              transactionDate: txn.transactionDate || record.transactionDate,
+              isFullyReceived: true,
+              isManuallyClosed: false,
+              lines: [],
+              createdAt: record.createdAt,
+              updatedAt: record.updatedAt
+            });
+          }
+        }
+      }
+    }
+  }
+
+  _collection(resource) {
+    if (!this.store[resource]) {
+      this.store[resource] = new Map();
+    }
+    return this.store[resource];
+  }
+
+  _findAnywhere(id) {
+    for (const records of Object.values(this.store)) {
+      if (records.has(id)) return records.get(id);
+    }
+    return null;
+  }
+
+  // ============================================================
+  // ERROR INJECTION
+  // ============================================================
+
+  /**
+   * Queue an error for the next matching request
+   * match: optional { method, path } (path is a substring of the request path)
+   */
+  injectError({ status = 500, type = 'INTERNAL_ERROR', code = 'INTERNAL_ERROR', message = 'Injected error', match = null, extra = {} } = {}) {
+    this.injectedErrors.push({ status, type, code, message, match, extra });
+  }
+
+  _takeInjectedError(method, pathname) {
+    const index = this.injectedErrors.findIndex(e =>
+      !e.match ||
+      ((!e.match.method || e.match.method === method) && (!e.match.path || pathname.includes(e.match.path)))
+    );
+    if (index === -1) return null;
+    const [err] = this.injectedErrors.splice(index, 1);
+    return conductorError(err.status, err.type, err.code, err.message, err.extra);
+  }
+
+  // ============================================================
+  // REQUEST HANDLING
+  // ============================================================
+
+  /**
+   * Route a request - returns { status, body }
+   */
+  handle(method, url, headers = {}, body = null) {
+    const { pathname, searchParams } = new URL(url, 'http://localhost');
+    this.requests.push({ method, path: pathname, query: Object.fromEntries(searchParams), body });
+
+    const injected = this._takeInjectedError(method, pathname);
+    if (injected) return injected;
+
+    const auth = headers.authorization || '';
+    if (!auth.startsWith('Bearer ') || (this.apiKey && auth !== `Bearer ${this.apiKey}`)) {
+      return conductorError(401, 'AUTHENTICATION_ERROR', 'INVALID_API_KEY', 'Invalid or missing API key');
+    }
+
+    const endUserMatch = pathname.match(/^\/v1\/end-users\/([^\/]+)$/);
+    if (endUserMatch && method === 'GET') {
+      return { status: 200, body: this._endUser(endUserMatch[1]) };
+    }
+
+    if (!headers['conductor-end-user-id'] || (this.endUserId && headers['conductor-end-user-id'] !== this.endUserId)) {
+      return conductorError(404, 'INVALID_REQUEST_ERROR', 'END_USER_NOT_FOUND', 'End user not found');
+    }
+
+    const match = pathname.match(/^\/v1\/quickbooks-desktop\/([^\/]+)(?:\/([^\/]+))?$/);
+    if (!match) {
+      return conductorError(404, 'INVALID_REQUEST_ERROR', 'RESOURCE_NOT_FOUND', `Unknown endpoint ${pathname}`);
+    }
+
+    const [, resource, id] = match;
+
+    if (method === 'GET' && !id) return this._list(resource, pathname, searchParams);
+    if (method === 'GET') return this._retrieve(resource, id);
+    if (method === 'POST' && !id) return this._create(resource, body || {});
+    if (method === 'POST') return this._update(resource, id, body || {});
+    if (method === 'DELETE' && id) return this._delete(resource, id);
+
+    return conductorError(405, 'INVALID_REQUEST_ERROR', 'METHOD_NOT_ALLOWED', `${method} not supported on ${pathname}`);
+  }
+
+  _endUser(id) {
+    return {
+      id,
+      objectType: 'end_user',
+      companyName: 'M.A.S. PRECISION PARTS LTD. (mock)',
+      email: 'mock@localhost',
+      integrationConnections: [{
+        integrationSlug: 'quickbooks_desktop',
+        lastRequestAt: new Date().toISOString()
+      }]
+    };
+  }
+
+  _list(resource, pathname, params) {
+    let records = [...this._collection(resource).values()];
+
+    for (const [param, getter] of Object.entries(ID_FILTERS)) {
+      if (params.has(param)) {
+        const wanted = params.getAll(param).flatMap(v => v.split(','));
+        records = records.filter(r => wanted.includes(getter(r)));
+      }
+    }
+
+    if (params.has('updatedAfter')) {
+      const after = new Date(params.get('updatedAfter'));
+      records = records.filter(r => new Date(r.updatedAt || r.createdAt) >= after);
+    }
+    if (params.has('updatedBefore')) {
+      const before = new Date(params.get('updatedBefore'));
+      records = records.filter(r => new Date(r.updatedAt || r.createdAt) <= before);
+    }
+    if (params.has('transactionDateFrom')) {
+      records = records.filter(r => r.transactionDate >= params.get('transactionDateFrom'));
+    }
+    if (params.has('transactionDateTo')) {
+      records = records.filter(r => r.transactionDate <= params.get('transactionDateTo'));
+    }
+    if (params.has('nameContains')) {
+      const needle = params.get('nameContains').toLowerCase();
+      records = records.filter(r => (r.fullName || r.name || '').toLowerCase().includes(needle));
+    }
+
+    const status = params.get('status') || 'active';
+    if (status !== 'all') {
+      records = records.filter(r => r.isActive === undefined || r.isActive === (status === 'active'));
+    }
+
+    const limit = Math.min(parseInt(params.get('limit') || MAX_LIMIT, 10), MAX_LIMIT);
+    if (Number.isNaN(limit) || limit < 1) {
+      return conductorError(400, 'INVALID_REQUEST_ERROR', 'INVALID_PARAMETER', '"limit" must be between 1 and 150', { param: 'limit' });
+    }
+
+    let offset = 0;
+    if (params.has('cursor')) {
+      offset = decodeCursor(params.get('cursor'));
+      if (offset === null) {
+        return conductorError(400, 'INVALID_REQUEST_ERROR', 'INVALID_CURSOR', 'Invalid pagination cursor', { param: 'cursor' });
+      }
+    }
+
+    const page = records.slice(offset, offset + limit);
+    const remainingCount = Math.max(records.length - offset - page.length, 0);
+
+    return {
+      status: 200,
+      body: {
+        objectType: 'list',
+        url: pathname,
+        data: page,
+        nextCursor: remainingCount > 0 ? encodeCursor(offset + page.length) : null,
+        remainingCount,
+        hasMore: remainingCount > 0
+      }
+    };
+  }
+
+  _retrieve(resource, id) {
+    const record = this._collection(resource).get(id);
+    if (!record) {
+      return conductorError(404, 'INVALID_REQUEST_ERROR', 'RESOURCE_NOT_FOUND', `No ${singular(resource)} with ID ${id}`);
+    }
+    return { status: 200, body: record };
+  }
+
+  _create(resource, body) {
+    const now = new Date().toISOString();
+    const id = newId();
+    const record = {
+      id,
+      objectType: `qbd_${singular(resource)}`,
+      createdAt: now,
+      updatedAt: now,
+      revisionNumber: String(Date.now()),
+      ...this._toRecord(body)
+    };
+
+    if (record.isActive === undefined && !record.transactionDate) {
+      record.isActive = true;
+    }
+    const emptyError = this._checkNotEmpty(resource, record);
+    if (emptyError) return emptyError;
+    const linkError = this._receiveLinkedLines(record);
+    if (linkError) return linkError;
+    this._applyTotals(resource, record);
+
+    this._collection(resource).set(id, record);
+    return { status: 200, body: record };
+  }
+
+  /**
+   * Lines created with linkToTransactionLine take the PO line's item and count
+   * as received on the PO; a PO with nothing left open becomes fully received
+   */
+  _receiveLinkedLines(record) {
+    const linkedLines = (record.itemLines || []).filter(line => line.linkToTransactionLine);
+    if (linkedLines.length === 0) return null;
+
+    for (const line of linkedLines) {
+      const { transactionId, transactionLineId } = line.linkToTransactionLine;
+      const po = this._collection('purchase-orders').get(transactionId);
+      const poLine = po?.lines?.find(l => l.id === transactionLineId);
+      if (!poLine || po.isFullyReceived || po.isManuallyClosed) {
+        return conductorError(400, 'INTEGRATION_ERROR', 'QBD_REQUEST_ERROR',
+          `Cannot link to transaction line ${transactionLineId} of ${transactionId}: not found or already closed.`, { integrationCode: '3120' });
+      }
+    }
+
+    const linked = new Map();
+    for (const line of linkedLines) {
+      const { transactionId, transactionLineId } = line.linkToTransactionLine;
+      const po = this._collection('purchase-orders').get(transactionId);
+      const poLine = po.lines.find(l => l.id === transactionLineId);
+
+      delete line.linkToTransactionLine;
+      line.item = poLine.item;
+      line.description = line.description ?? poLine.description;
+      poLine.receivedQuantity = (poLine.receivedQuantity || 0) + (line.quantity ?? poLine.quantity ?? 1);
+      po.isFullyReceived = po.lines.every(l => l.quantity == null || (l.receivedQuantity || 0) >= l.quantity);
+      linked.set(po.id, { id: po.id, transactionType: 'purchase_order', refNumber: po.refNumber || null });
+    }
+
+    record.linkedTransactions = [...(record.linkedTransactions || []), ...linked.values()];
+    return null;
+  }
+
+  _update(resource, id, body) {
+    const existing = this._collection(resource).get(id);
+    if (!existing) {
+      return conductorError(404, 'INVALID_REQUEST_ERROR', 'RESOURCE_NOT_FOUND', `No ${singular(resource)} with ID ${id}`);
+    }
+
+    if (!body.revisionNumber) {
+      return conductorError(400, 'INVALID_REQUEST_ERROR', 'MISSING_REQUIRED_PARAMETER', '"revisionNumber" is required', { param: 'revisionNumber' });
+    }
+    if (String(body.revisionNumber) !== String(existing.revisionNumber)) {
+      return conductorError(400, 'INTEGRATION_ERROR', 'QBD_REQUEST_ERROR',
+        'The provided edit sequence (revisionNumber) is out-of-date.', { integrationCode: '3200' });
+    }
+
+    const { revisionNumber, ...changes } = body;
+    const updated = this._toRecord(changes);
+    // A line array replaces the old lines; a line sent with an existing id only changes the fields given
+    (LINE_KEYS[resource] || []).forEach(key => {
+      if (!Array.isArray(changes[key])) return;
+      updated[key] = changes[key].map((line, i) => {
+        const old = (existing[key] || []).find(l => l.id === line.id);
+        return old ? { ...old, ...updated[key][i], id: old.id } : updated[key][i];
+      });
+    });
+    const record = {
+      ...existing,
+      ...updated,
+      updatedAt: new Date().toISOString(),
+      revisionNumber: String(Math.max(Date.now(), Number(existing.revisionNumber) + 1))
+    };
+    const emptyError = this._checkNotEmpty(resource, record);
+    if (emptyError) return emptyError;
+    this._applyTotals(resource, record);
+
+    this._collection(resource).set(id, record);
+    return { status: 200, body: record };
+  }
+
+  _checkNotEmpty(resource, record) {
+    const keys = LINE_KEYS[resource];
+    if (!keys || keys.some(key => record[key]?.length > 0)) return null;
+    return conductorError(502, 'INTEGRATION_ERROR', 'QBD_REQUEST_ERROR',
+      `QBD Request Error (3180): There was an error when saving a ${singular(resource)}.  QuickBooks error message: The transaction is empty.`,
+      { integrationCode: '3180' });
+  }
+
+  _delete(resource, id) {
+    const existing = this._collection(resource).get(id);
+    if (!existing) {
+      return conductorError(404, 'INVALID_REQUEST_ERROR', 'RESOURCE_NOT_FOUND', `No ${singular(resource)} with ID ${id}`);
+    }
+    this._collection(resource).delete(id);
+    return { status: 200, body: { id, objectType: existing.objectType, deleted: true } };
+  }
+
+  /**
+   * Convert a Conductor request body (fooId fields) into response shape (foo: { id, fullName })
+   */
+  _toRecord(body) {
+    const record = {};
+
+    for (const [key, value] of Object.entries(body)) {
+      if (key === 'linkToTransactionIds') {
+        record.linkedTransactions = value.map(txnId => {
+          const txn = this._findAnywhere(txnId);
+          return {
+            id: txnId,
+            transactionType: txn ? txn.objectType.replace(/^qbd_/, '') : 'transaction',
+            refNumber: txn?.refNumber || null
+          };
+        });
+      } else if (key.endsWith('Id') && key !== 'externalId' && typeof value === 'string') {
+        const ref = this._findAnywhere(value);
+        record[key.slice(0, -2)] = { id: value, fullName: ref ? (ref.fullName || ref.name) : null };
+      } else if (Array.isArray(value) && value.every(v => v && typeof v === 'object')) {
+        record[key] = value.map(line => ({ id: newId(), ...this._toRecord(line) }));
+      } else {
+        record[key] = value;
+      }
+    }
+
+    return record;
+  }
+
+  _applyTotals(resource, record) {
+    const lineKeys = ['itemLines', 'expenseLines', 'lines'].filter(key => Array.isArray(record[key]));
+    if (lineKeys.length === 0) return;
+    const lines = lineKeys.flatMap(key => record[key]);
+
+    lines.forEach(line => {
+      if (line.amount === undefined && (line.cost !== undefined || line.rate !== undefined)) {
+        const unit = parseFloat(line.cost ?? line.rate);
+        line.amount = (unit * (line.quantity ?? 1)).toFixed(2);
+      }
+    });
+    const total = lines.reduce((sum, line) => sum + parseFloat(line.amount || 0), 0).toFixed(2);
+
+    if (resource === 'bills') record.amountDue = total;
+    else if (resource === 'credit-card-charges' || resource === 'checks') record.amount = total;
+    else record.totalAmount = total;
+  }
+
+  // ============================================================
+  // HTTP
+  // ============================================================
+
+  listen(port = 0) {
+    this.server = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => {
+        let body = null;
+        if (raw) {
+          try {
+            body = JSON.parse(raw);
+          } catch (e) {
+            return this._send(res, conductorError(400, 'INVALID_REQUEST_ERROR', 'INVALID_JSON', 'Request body is not valid JSON'));
+          }
+        }
+        this._send(res, this.handle(req.method, req.url, req.headers, body));
+      });
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(port, '127.0.0.1', () => {
+        const { port: actualPort } = this.server.address();
+        this.baseUrl = `http://127.0.0.1:${actualPort}/v1`;
+        resolve(this.baseUrl);
+      });
+    });
+  }
+
+  _send(res, { status, body }) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  close() {
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+    });
+  }
+}
+
+module.exports = { MockConductorServer };
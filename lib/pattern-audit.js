@@ -0,0 +1,190 @@
+/**
+ * Pattern Drift Audit
+ * Resolves every QuickBooks ID referenced in dataPatterns/*.json against the live
+ * company file and reports IDs that are missing, inactive or renamed, plus items
+ * a vendor's recent bills/charges used that its pattern does not list
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_PATTERNS_DIR } = require('./pattern-loader');
+
+const QB_ID = /^[0-9A-F]+-\d+$/;
+
+// Example transactions copied from history carry transaction IDs, not list IDs
+const SKIP_KEYS = /example|linkToTransaction/i;
+
+// List resources an ID in a pattern can point at; status=all so inactive ones are found
+const LIST_RESOURCES = [
+  'service-items',
+  'non-inventory-items',
+  'inventory-items',
+  'other-charge-items',
+  'sales-tax-items',
+  'accounts',
+  'standard-terms',
+  'date-driven-terms',
+  'sales-tax-codes',
+  'vendors',
+  'customers'
+];
+
+const TAX_LINE = /\b(HST|GST|PST|sales tax)\b/i;
+
+function isIdKey(key) {
+  return key === 'id' || key === 'value' || /Id$/.test(key);
+}
+
+/**
+ * Every QuickBooks ID in one parsed pattern file
+ * Returns [{ field, id, name }] - name is the sibling "name"/"fullName" when present
+ */
+function findReferences(node, pathParts = [], found = []) {
+  if (Array.isArray(node)) {
+    node.forEach((child, i) => findReferences(child, [...pathParts, String(i)], found));
+  } else if (node && typeof node === 'object') {
+    Object.entries(node).forEach(([key, value]) => {
+      if (SKIP_KEYS.test(key)) return;
+      if (typeof value === 'string' && isIdKey(key) && QB_ID.test(value)) {
+        const name = key === 'id' ? (node.fullName || node.name || null) : null;
+        found.push({ field: [...pathParts, key].join('.'), id: value, name });
+      } else if (typeof value === 'object') {
+        findReferences(value, [...pathParts, key], found);
+      }
+    });
+  }
+  return found;
+}
+
+/**
+ * References from every pattern file (templates excluded)
+ * Returns [{ file, field, id, name }]
+ */
+function collectPatternReferences(dir = DATA_PATTERNS_DIR) {
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.json') && !f.startsWith('_template'))
+    .sort()
+    .flatMap(file => {
+      const content = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      return findReferences(content).map(ref => ({ file, ...ref }));
+    });
+}
+
+/**
+ * Map of ID -> live list record across every list resource
+ */
+async function loadLiveEntities(client) {
+  const entities = new Map();
+  for (const resource of LIST_RESOURCES) {
+    const records = await client.listAll(resource, { status: 'all' });
+    records.forEach(record => entities.set(record.id, { ...record, resource }));
+  }
+  return entities;
+}
+
+function sameName(a, b) {
+  const clean = value => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  return clean(a) === clean(b);
+}
+
+/**
+ * Compare pattern references with the live lists
+ * Returns { checked, missing, inactive, renamed } - each finding lists every
+ * file/field the ID appears in
+ */
+function checkReferences(references, entities) {
+  const byId = new Map();
+  references.forEach(ref => {
+    const entry = byId.get(ref.id) || { id: ref.id, names: new Set(), locations: [] };
+    if (ref.name) entry.names.add(ref.name);
+    entry.locations.push(`${ref.file}: ${ref.field}`);
+    byId.set(ref.id, entry);
+  });
+
+  const result = { checked: byId.size, missing: [], inactive: [], renamed: [] };
+  for (const { id, names, locations } of byId.values()) {
+    const live = entities.get(id);
+    const patternName = [...names][0] || null;
+    if (!live) {
+      result.missing.push({ id, patternName, locations });
+      continue;
+    }
+
+    const liveName = live.fullName || live.name;
+    if (live.isActive === false) {
+      result.inactive.push({ id, patternName, liveName, resource: live.resource, locations });
+    }
+    const stale = [...names].filter(name => !sameName(name, liveName) && !sameName(name, live.name));
+    if (stale.length > 0) {
+      result.renamed.push({ id, patternName: stale.join(' / '), liveName, resource: live.resource, locations });
+    }
+  }
+  return result;
+}
+
+/**
+ * Items used on a vendor's bills and credit card charges since `since` that
+ * appear nowhere in its pattern file
+ * Returns [{ file, vendorId, vendorName, transactions, items: [{ id, name, count, refNumbers }] }]
+ */
+async function findUnlistedItems(client, { since, dir = DATA_PATTERNS_DIR } = {}) {
+  const files = fs.readdirSync(dir).filter(f => f.startsWith('vendor_') && f.endsWith('.json')).sort();
+  const findings = [];
+
+  for (const file of files) {
+    const pattern = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    const vendorId = pattern.vendor?.id;
+    if (!vendorId || !QB_ID.test(vendorId)) continue;
+
+    const listed = new Set(findReferences(pattern).map(ref => ref.id));
+    const bills = await client.listAllBills({ vendorIds: vendorId, transactionDateFrom: since });
+    const charges = await client.listAllCreditCardCharges({ payeeIds: vendorId, transactionDateFrom: since });
+
+    const unlisted = new Map();
+    [...bills, ...charges].forEach(transaction => {
+      (transaction.itemLines || []).forEach(line => {
+        const item = line.item;
+        if (!item?.id || listed.has(item.id) || TAX_LINE.test(item.fullName || '')) return;
+        const entry = unlisted.get(item.id) || { id: item.id, name: item.fullName || null, count: 0, refNumbers: [] };
+        entry.count++;
+        if (transaction.refNumber && !entry.refNumbers.includes(transaction.refNumber)) entry.refNumbers.push(transaction.refNumber);
+        unlisted.set(item.id, entry);
+      });
+    });
+
+    if (unlisted.size > 0) {
+      findings.push({
+        file,
+        vendorId,
+        vendorName: pattern.vendor.name,
+        transactions: bills.length + charges.length,
+        items: [...unlisted.values()].sort((a, b) => b.count - a.count)
+      });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Full audit
+ * Returns { since, checked, missing, inactive, renamed, unlistedItems, clean }
+ */
+async function auditPatterns(client, { days = 90, now = new Date(), dir = DATA_PATTERNS_DIR } = {}) {
+  const since = new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  const entities = await loadLiveEntities(client);
+  const references = checkReferences(collectPatternReferences(dir), entities);
+  const unlistedItems = await findUnlistedItems(client, { since, dir });
+
+  const clean = references.missing.length === 0 && references.inactive.length === 0 &&
+    references.renamed.length === 0 && unlistedItems.length === 0;
+  return { since, ...references, unlistedItems, clean };
+}
+
+module.exports = {
+  findReferences,
+  collectPatternReferences,
+  loadLiveEntities,
+  checkReferences,
+  findUnlistedItems,
+  auditPatterns
+};
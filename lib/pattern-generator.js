@@ -0,0 +1,427 @@
+/**
+ * Pattern Generator
+ * Drafts a vendor_*.json pattern from a vendor's QuickBooks history: purchase
+ * orders, bills and credit card charges over the last year. Customer patterns
+ * (customer_*.json, needed by createInvoice) are drafted the same way from the
+ * customer's invoices
+ *
+ * The drafts follow dataPatterns/_template_vendor.json and _template_customer.json
+ * and carry `_meta.draft: true`, which the pattern loader refuses until it is removed.
+ * They can only see what was posted before - invoiceFormat, item keywords and
+ * anything the vendor does differently now still need a person to fill in
+ * (listed in "warnings")
+ */
+
+const { loadCommonReferences } = require('./pattern-loader');
+
+const TAX_LINE = /\b(HST|GST|PST|sales tax)\b/i;
+
+function isoDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function monthsBefore(date, months) {
+  const d = new Date(date);
+  d.setMonth(d.getMonth() - months);
+  return d;
+}
+
+/**
+ * Fetch the vendor record and its transactions since `since` (YYYY-MM-DD)
+ * Returns { vendor, purchaseOrders, bills, charges, since }
+ */
+async function fetchVendorHistory(client, vendorId, { months = 12, now = new Date() } = {}) {
+  const since = isoDate(monthsBefore(now, months));
+  const vendor = await client.getVendorById(vendorId);
+
+  const purchaseOrders = await client.listAllPurchaseOrders({ vendorIds: vendorId, transactionDateFrom: since });
+  const bills = await client.listAllBills({ vendorIds: vendorId, transactionDateFrom: since, includeLinkedTransactions: true });
+  const charges = await client.listAllCreditCardCharges({ payeeIds: vendorId, transactionDateFrom: since });
+
+  return { vendor, purchaseOrders, bills, charges, since, until: isoDate(now) };
+}
+
+/**
+ * Count how often each { id, fullName } ref is used
+ * Returns [{ id, name, count }] most used first
+ */
+function tally(refs) {
+  const counts = new Map();
+  refs.filter(ref => ref && ref.id).forEach(ref => {
+    const entry = counts.get(ref.id) || { id: ref.id, name: ref.fullName || ref.name || null, count: 0 };
+    entry.count++;
+    counts.set(ref.id, entry);
+  });
+  return [...counts.values()].sort((a, b) => b.count - a.count);
+}
+
+function goodsLines(lines) {
+  return (lines || []).filter(line => line.item && !TAX_LINE.test(line.item.fullName || ''));
+}
+
+function linkedToPO(bill) {
+  return (bill.linkedTransactions || []).some(t => t.transactionType === 'purchase_order');
+}
+
+/**
+ * Work out what the vendor's transactions have in common
+ */
+function analyzeHistory({ purchaseOrders, bills, charges }) {
+  const billItemLines = bills.flatMap(bill => goodsLines(bill.itemLines));
+  const chargeItemLines = charges.flatMap(charge => goodsLines(charge.itemLines));
+  const poLines = purchaseOrders.flatMap(po => goodsLines(po.lines));
+  const expenseLines = [...bills, ...charges].flatMap(t => t.expenseLines || []);
+  const itemLines = [...billItemLines, ...chargeItemLines];
+
+  return {
+    counts: {
+      purchaseOrders: purchaseOrders.length,
+      bills: bills.length,
+      charges: charges.length,
+      billsLinkedToPO: bills.filter(linkedToPO).length
+    },
+    items: tally(itemLines.map(line => line.item)),
+    poItems: tally(poLines.map(line => line.item)),
+    expenseAccounts: tally(expenseLines.map(line => line.account)),
+    taxCodes: tally([...itemLines, ...expenseLines].map(line => line.salesTaxCode)),
+    terms: tally(bills.map(bill => bill.terms)),
+    payablesAccounts: tally(bills.map(bill => bill.payablesAccount)),
+    cardAccounts: tally(charges.map(charge => charge.account)),
+    itemLineCount: itemLines.length,
+    expenseLineCount: expenseLines.length,
+    latestBill: [...bills].sort((a, b) => b.transactionDate.localeCompare(a.transactionDate))[0] || null,
+    latestCharge: [...charges].sort((a, b) => b.transactionDate.localeCompare(a.transactionDate))[0] || null
+  };
+}
+
+function namedRef(entry) {
+  return entry ? { id: entry.id, name: entry.name } : null;
+}
+
+function partyAddress(record) {
+  const address = record.billingAddress || {};
+  return {
+    line1: address.line1 || '',
+    line2: address.line2 || '',
+    city: address.city || '',
+    state: address.state || '',
+    postalCode: address.postalCode || ''
+  };
+}
+
+// "Valk's Machinery Ltd." -> "vendor_valks_machinery.json"
+function patternFileName(name, entityType = 'vendor') {
+  const slug = String(name)
+    .toLowerCase()
+    .replace(/'/g, '')
+    .replace(/\b(ltd|inc|corp|co|llc|limited|incorporated)\b\.?/g, '')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return `${entityType}_${slug}.json`;
+}
+
+function exampleLines(lines) {
+  return goodsLines(lines).slice(0, 3).map(line => ({
+    item: line.item ? { id: line.item.id, fullName: line.item.fullName } : null,
+    description: line.description || null,
+    quantity: line.quantity ?? null,
+    rate: line.cost ?? line.rate ?? null,
+    amount: line.amount ?? null
+  }));
+}
+
+/**
+ * Build a draft pattern object from the vendor record and analyzeHistory() output
+ * Returns { pattern, warnings } - warnings are also written into the pattern
+ */
+function buildVendorPattern(vendor, analysis, { since, until, references = loadCommonReferences() } = {}) {
+  const { counts } = analysis;
+  const warnings = [`DRAFT generated from QuickBooks history on ${until} - check every section before relying on it`];
+
+  const isCardVendor = counts.charges > counts.bills;
+  const transactionCount = counts.bills + counts.charges;
+  if (transactionCount === 0) {
+    warnings.push(`No bills or credit card charges since ${since} - defaults come from the vendor record only`);
+  }
+
+  // Terms: what bills actually used, else the vendor record
+  const terms = namedRef(analysis.terms[0]) ||
+    (vendor.terms ? { id: vendor.terms.id, name: vendor.terms.fullName } : null);
+  if (!terms) warnings.push('No payment terms found - set defaults.terms by hand');
+
+  const taxEntry = analysis.taxCodes[0] ||
+    (vendor.salesTaxCode ? { id: vendor.salesTaxCode.id, name: vendor.salesTaxCode.fullName } : null);
+  const knownTax = taxEntry && Object.values(references.taxCodes || {}).find(code => code.id === taxEntry.id);
+  const salesTaxCode = taxEntry ? {
+    id: taxEntry.id,
+    name: taxEntry.name,
+    ...(knownTax ? { rate: knownTax.rate, description: knownTax.description } : {})
+  } : null;
+  if (!salesTaxCode) warnings.push('No sales tax code found - set defaults.salesTaxCode by hand');
+  if (analysis.taxCodes.length > 1) {
+    warnings.push(`Lines used ${analysis.taxCodes.length} tax codes: ${analysis.taxCodes.map(t => `${t.name} (${t.count})`).join(', ')}`);
+  }
+
+  const { id: apId, name: apName } = references.accounts.accountsPayable;
+  const payablesAccount = namedRef(analysis.payablesAccounts[0]) || { id: apId, name: apName };
+
+  // Items: most used first; expense accounts when the vendor is billed without items
+  const usesExpenseLines = analysis.expenseLineCount > analysis.itemLineCount;
+  const lineRefs = usesExpenseLines ? analysis.expenseAccounts : analysis.items;
+  const lineTotal = lineRefs.reduce((sum, entry) => sum + entry.count, 0);
+  const usage = entry => `Used on ${entry.count} of ${lineTotal} line(s) since ${since}`;
+  const [primary, ...alternatives] = lineRefs;
+  if (!primary) warnings.push('No items or expense accounts in the history - fill in commonItems by hand');
+  if (alternatives.length > 0) {
+    warnings.push('More than one item in use - add "keywords" to commonItems so invoice lines are classified (lib/item-classifier.js)');
+  }
+
+  const orderMethod = counts.purchaseOrders === 0
+    ? { typicalMethod: isCardVendor ? 'online' : 'verbal', note: `No POs since ${since} - but ALWAYS check for PO before creating bill regardless` }
+    : {
+        typicalMethod: 'purchase_order',
+        note: `${counts.purchaseOrders} PO(s) since ${since}; ${counts.billsLinkedToPO} of ${counts.bills} bill(s) were linked to a PO`
+      };
+
+  const pattern = {
+    _meta: {
+      entityType: 'vendor',
+      lastUpdated: until,
+      dataSource: `${since} to ${until}: ${counts.purchaseOrders} PO(s), ${counts.bills} bill(s), ${counts.charges} credit card charge(s)`,
+      draft: true,
+      notes: `DRAFT generated by generate-pattern.js for ${vendor.name} - review before use`
+    },
+    vendor: {
+      id: vendor.id,
+      name: vendor.name,
+      ...(vendor.companyName ? { companyName: vendor.companyName } : {}),
+      email: vendor.email || null,
+      phone: vendor.phone || null,
+      ...(vendor.fax ? { fax: vendor.fax } : {}),
+      ...(vendor.taxRegistrationNumber ? { hstNumber: vendor.taxRegistrationNumber } : {}),
+      address: partyAddress(vendor)
+    },
+    orderMethod,
+    defaults: {
+      terms: terms || { id: 'TERMS_ID', name: 'Term Name' },
+      salesTaxCode: salesTaxCode || { id: 'TAX_CODE_ID', name: 'H' },
+      payablesAccount
+    },
+    commonItems: {
+      _comment: 'Most used first, from history - add keywords so lines are classified automatically',
+      ...(primary ? {
+        primary: {
+          id: primary.id,
+          name: primary.name,
+          type: usesExpenseLines ? 'expense_account' : 'service_item',
+          usage: usage(primary)
+        }
+      } : {}),
+      alternatives: alternatives.map(entry => ({ id: entry.id, name: entry.name, usage: usage(entry) }))
+    },
+    transactionType: isCardVendor
+      ? { type: 'credit_card_charge', reason: `${counts.charges} credit card charge(s) vs ${counts.bills} bill(s) since ${since}`, endpoint: 'POST /quickbooks-desktop/credit-card-charges' }
+      : { type: 'bill', reason: `${counts.bills} bill(s) vs ${counts.charges} credit card charge(s) since ${since}`, endpoint: 'POST /quickbooks-desktop/bills' }
+  };
+
+  if (isCardVendor) {
+    const cardAccount = analysis.cardAccounts[0];
+    pattern.creditCardChargePattern = {
+      description: `Credit Card Charge for ${vendor.name}`,
+      preferredMethod: usesExpenseLines ? 'expenseLines' : 'itemLines',
+      notes: analysis.cardAccounts.map(a => `Card account ${a.name} used on ${a.count} charge(s)`),
+      template: {
+        account: { id: cardAccount ? cardAccount.id : 'CREDIT_CARD_ACCOUNT_ID' },
+        payee: { id: vendor.id },
+        transactionDate: 'YYYY-MM-DD',
+        refNumber: 'INVOICE_NUMBER',
+        itemLines: []
+      },
+      exampleFromHistory: analysis.latestCharge ? {
+        id: analysis.latestCharge.id,
+        refNumber: analysis.latestCharge.refNumber,
+        transactionDate: analysis.latestCharge.transactionDate,
+        lines: exampleLines(analysis.latestCharge.itemLines)
+      } : {}
+    };
+  } else {
+    pattern.billPattern = {
+      description: `Bill for ${vendor.name}`,
+      preferredMethod: usesExpenseLines ? 'expenseLines' : 'itemLines',
+      notes: [`${counts.billsLinkedToPO} of ${counts.bills} bill(s) since ${since} were linked to a PO`],
+      template: {
+        vendor: { id: vendor.id },
+        transactionDate: 'YYYY-MM-DD',
+        refNumber: 'VENDOR_INVOICE_NUMBER',
+        terms: { id: terms ? terms.id : 'TERMS_ID' },
+        itemLines: [],
+        expenseLines: []
+      },
+      exampleFromHistory: analysis.latestBill ? {
+        id: analysis.latestBill.id,
+        refNumber: analysis.latestBill.refNumber,
+        transactionDate: analysis.latestBill.transactionDate,
+        lines: exampleLines(analysis.latestBill.itemLines)
+      } : {}
+    };
+  }
+
+  if (analysis.poItems.length > 0) {
+    pattern.purchaseOrderPattern = {
+      notes: analysis.poItems.map(item => `${item.name} on ${item.count} PO line(s)`),
+      item: { id: analysis.poItems[0].id, name: analysis.poItems[0].name }
+    };
+  }
+
+  warnings.push('Add "invoiceFormat" (layout + dateFormat) before using ingest-invoice.js with this vendor');
+  pattern.warnings = warnings;
+
+  return { pattern, warnings };
+}
+
+/**
+ * Fetch, analyze and build in one call
+ * Returns { fileName, pattern, warnings, analysis }
+ */
+async function generateVendorPattern(client, vendorId, { months = 12, now = new Date() } = {}) {
+  const history = await fetchVendorHistory(client, vendorId, { months, now });
+  const analysis = analyzeHistory(history);
+  const { pattern, warnings } = buildVendorPattern(history.vendor, analysis, { since: history.since, until: history.until });
+  return { fileName: patternFileName(history.vendor.name), pattern, warnings, analysis };
+}
+
+// ============================================================
+// CUSTOMERS
+// ============================================================
+
+/**
+ * Fetch the customer record and its invoices since `since` (YYYY-MM-DD)
+ * Returns { customer, invoices, since, until }
+ */
+async function fetchCustomerHistory(client, customerId, { months = 12, now = new Date() } = {}) {
+  const since = isoDate(monthsBefore(now, months));
+  const customer = await client.getCustomerById(customerId);
+  const invoices = await client.listAllInvoices({ customerIds: customerId, transactionDateFrom: since });
+  return { customer, invoices, since, until: isoDate(now) };
+}
+
+function analyzeInvoices(invoices) {
+  const lines = invoices.flatMap(invoice => goodsLines(invoice.lines));
+  return {
+    counts: { invoices: invoices.length },
+    items: tally(lines.map(line => line.item)),
+    taxCodes: tally(lines.map(line => line.salesTaxCode)),
+    terms: tally(invoices.map(invoice => invoice.terms)),
+    receivablesAccounts: tally(invoices.map(invoice => invoice.receivablesAccount)),
+    lineCount: lines.length,
+    latestInvoice: [...invoices].sort((a, b) => b.transactionDate.localeCompare(a.transactionDate))[0] || null
+  };
+}
+
+/**
+ * Build a draft customer pattern from the customer record and analyzeInvoices() output
+ * Returns { pattern, warnings }
+ */
+function buildCustomerPattern(customer, analysis, { since, until, references = loadCommonReferences() } = {}) {
+  const { counts } = analysis;
+  const warnings = [`DRAFT generated from QuickBooks history on ${until} - check every section before relying on it`];
+  if (counts.invoices === 0) {
+    warnings.push(`No invoices since ${since} - defaults come from the customer record only`);
+  }
+
+  const terms = namedRef(analysis.terms[0]) ||
+    (customer.terms ? { id: customer.terms.id, name: customer.terms.fullName } : null);
+  if (!terms) warnings.push('No payment terms found - set defaults.terms by hand');
+
+  const taxEntry = analysis.taxCodes[0] ||
+    (customer.salesTaxCode ? { id: customer.salesTaxCode.id, name: customer.salesTaxCode.fullName } : null);
+  const knownTax = taxEntry && Object.values(references.taxCodes || {}).find(code => code.id === taxEntry.id);
+  const salesTaxCode = taxEntry ? {
+    id: taxEntry.id,
+    name: taxEntry.name,
+    ...(knownTax ? { rate: knownTax.rate } : {})
+  } : null;
+  if (!salesTaxCode) warnings.push('No sales tax code found - set defaults.salesTaxCode by hand');
+
+  const usage = entry => `Used on ${entry.count} of ${analysis.lineCount} invoice line(s) since ${since}`;
+  const [primary, ...alternatives] = analysis.items;
+  if (!primary) warnings.push('No items in the invoice history - fill in commonItems by hand');
+
+  const manufacturingJob = references.purchaseOrderItems?.manufacturingJob;
+  if (primary && manufacturingJob && primary.id !== manufacturingJob.id) {
+    warnings.push(`Most used item is ${primary.name}, not ${manufacturingJob.name} - check it against the invoice business rule`);
+  }
+
+  const latest = analysis.latestInvoice;
+  const pattern = {
+    _meta: {
+      entityType: 'customer',
+      lastUpdated: until,
+      dataSource: `${since} to ${until}: ${counts.invoices} invoice(s)`,
+      draft: true,
+      notes: `DRAFT generated by generate-pattern.js for ${customer.name} - review before use`
+    },
+    customer: {
+      id: customer.id,
+      name: customer.name,
+      ...(customer.companyName ? { companyName: customer.companyName } : {}),
+      email: customer.email || null,
+      phone: customer.phone || null,
+      address: partyAddress(customer)
+    },
+    defaults: {
+      terms: terms || { id: 'TERMS_ID', name: 'Term Name' },
+      salesTaxCode: salesTaxCode || { id: 'TAX_CODE_ID', name: 'H' },
+      ...(analysis.receivablesAccounts[0] ? { receivablesAccount: namedRef(analysis.receivablesAccounts[0]) } : {})
+    },
+    commonItems: {
+      _comment: 'Most used first, from invoice history',
+      ...(primary ? { primary: { id: primary.id, name: primary.name, type: 'service_item', usage: usage(primary) } } : {}),
+      alternatives: alternatives.map(entry => ({ id: entry.id, name: entry.name, usage: usage(entry) }))
+    },
+    invoicePattern: {
+      description: `Invoice for ${customer.name}`,
+      notes: [`${counts.invoices} invoice(s) since ${since}`],
+      template: {
+        customer: { id: customer.id },
+        transactionDate: 'YYYY-MM-DD',
+        refNumber: 'Omit to take the next number in the company sequence',
+        terms: { id: terms ? terms.id : 'TERMS_ID' },
+        memo: '',
+        lines: []
+      },
+      exampleFromHistory: latest ? {
+        id: latest.id,
+        refNumber: latest.refNumber,
+        transactionDate: latest.transactionDate,
+        lines: exampleLines(latest.lines)
+      } : {}
+    },
+    warnings
+  };
+
+  return { pattern, warnings };
+}
+
+/**
+ * Fetch, analyze and build a customer pattern in one call
+ * Returns { fileName, pattern, warnings, analysis }
+ */
+async function generateCustomerPattern(client, customerId, { months = 12, now = new Date() } = {}) {
+  const history = await fetchCustomerHistory(client, customerId, { months, now });
+  const analysis = analyzeInvoices(history.invoices);
+  const { pattern, warnings } = buildCustomerPattern(history.customer, analysis, { since: history.since, until: history.until });
+  return { fileName: patternFileName(history.customer.name, 'customer'), pattern, warnings, analysis };
+}
+
+module.exports = {
+  fetchVendorHistory,
+  analyzeHistory,
+  buildVendorPattern,
+  generateVendorPattern,
+  fetchCustomerHistory,
+  analyzeInvoices,
+  buildCustomerPattern,
+  generateCustomerPattern,
+  patternFileName
+};
@@ -0,0 +1,104 @@
+/**
+ * Data Pattern Loader
+ * Reads vendor_*.json / customer_*.json files from dataPatterns/ and validates
+ * them against lib/pattern-schema.js, reporting every problem by file and field
+ * instead of silently skipping the file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validatePattern } = require('./pattern-schema');
+
+const DATA_PATTERNS_DIR = path.join(__dirname, '..', 'dataPatterns');
+
+/**
+ * Load and validate all pattern files for an entity type ('vendor' | 'customer')
+ * Returns { patterns: [{ file, pattern }], errors: [{ file, id, field, message }] }
+ * Files with errors (including duplicate IDs and unreviewed drafts) are left out of `patterns`
+ */
+function loadPatterns(entityType = 'vendor', dir = DATA_PATTERNS_DIR) {
+  const result = { patterns: [], errors: [] };
+
+  if (!fs.existsSync(dir)) {
+    return result;
+  }
+
+  const files = fs.readdirSync(dir)
+    .filter(f => f.startsWith(`${entityType}_`) && f.endsWith('.json'))
+    .sort();
+
+  const valid = [];
+
+  for (const file of files) {
+    let content;
+    try {
+      content = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (e) {
+      result.errors.push({ file, id: null, field: null, message: `invalid JSON: ${e.message}` });
+      continue;
+    }
+
+    const id = content?.[entityType]?.id || null;
+    const fieldErrors = validatePattern(content, entityType);
+    if (fieldErrors.length > 0) {
+      fieldErrors.forEach(err => result.errors.push({ file, id, ...err }));
+      continue;
+    }
+
+    // generate-pattern.js output is not used until someone has reviewed it
+    if (content._meta.draft === true) {
+      result.errors.push({ file, id, field: '_meta.draft', message: 'is true - review the draft, then remove "draft" from _meta' });
+      continue;
+    }
+
+    valid.push({ file, pattern: content });
+  }
+
+  // Two files claiming the same ID make the lookup ambiguous - reject both
+  const filesById = new Map();
+  valid.forEach(({ file, pattern }) => {
+    const id = pattern[entityType].id;
+    filesById.set(id, [...(filesById.get(id) || []), file]);
+  });
+
+  for (const entry of valid) {
+    const id = entry.pattern[entityType].id;
+    const sameId = filesById.get(id);
+    if (sameId.length > 1) {
+      const others = sameId.filter(f => f !== entry.file).join(', ');
+      result.errors.push({
+        file: entry.file,
+        id,
+        field: `${entityType}.id`,
+        message: `duplicate ${entityType} ID ${id} (also in ${others})`
+      });
+      continue;
+    }
+    result.patterns.push(entry);
+  }
+
+  return result;
+}
+
+/**
+ * Find the validated pattern for an entity ID
+ * Returns { file, pattern } or null; `errors` lists problems with files for that ID
+ */
+function findPattern(entityType, id, dir = DATA_PATTERNS_DIR) {
+  const { patterns, errors } = loadPatterns(entityType, dir);
+  const match = patterns.find(p => p.pattern[entityType].id === id) || null;
+  return { match, errors: errors.filter(e => e.id === id), allErrors: errors };
+}
+
+/**
+ * Shared QuickBooks IDs (tax codes, terms, service and material items)
+ */
+function loadCommonReferences(dir = DATA_PATTERNS_DIR) {
+  return JSON.parse(fs.readFileSync(path.join(dir, '_common_references.json'), 'utf8'));
+}
+
+function formatPatternError(err) {
+  return err.field ? `${err.file}: ${err.field} ${err.message}` : `${err.file}: ${err.message}`;
+}
+
+module.exports = { DATA_PATTERNS_DIR, loadPatterns, findPattern, loadCommonReferences, formatPatternError };
@@ -0,0 +1,246 @@
+/**
+ * Data Pattern Schema
+ * Describes the shape of vendor_*.json and customer_*.json pattern files,
+ * mirroring dataPatterns/_template_vendor.json and _template_customer.json
+ */
+
+const { LAYOUTS } = require('./invoice-parsers');
+
+// QuickBooks Desktop list/transaction IDs look like "80000008-1592232388"
+const QB_ID = /^[0-9A-F]+-\d+$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+// Placeholders are the ones lib/ref-numbers.js knows how to fill
+const PO_NUMBER_FORMAT = /^([^{}]|\{(MMDD|employee|sequence)\})+$/;
+
+const REF = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', required: true, pattern: QB_ID },
+    name: { type: 'string' }
+  }
+};
+
+const NAMED_REF = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', required: true, pattern: QB_ID },
+    name: { type: 'string', required: true }
+  }
+};
+
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+
+function metaSchema(entityType) {
+  return {
+    type: 'object',
+    required: true,
+    properties: {
+      entityType: { type: 'string', required: true, enum: [entityType] },
+      lastUpdated: { type: 'string', required: true, pattern: DATE },
+      dataSource: { type: 'string' },
+      notes: { type: 'string' },
+      draft: { type: 'boolean' }
+    }
+  };
+}
+
+function entitySchema() {
+  return {
+    type: 'object',
+    required: true,
+    properties: {
+      id: { type: 'string', required: true, pattern: QB_ID },
+      name: { type: 'string', required: true },
+      companyName: { type: 'string' },
+      email: { type: 'string', nullable: true },
+      phone: { type: 'string', nullable: true },
+      fax: { type: 'string', nullable: true },
+      hstNumber: { type: 'string', nullable: true },
+      address: { type: 'object' }
+    }
+  };
+}
+
+const VENDOR_SCHEMA = {
+  type: 'object',
+  properties: {
+    _meta: metaSchema('vendor'),
+    vendor: entitySchema(),
+    orderMethod: {
+      type: 'object',
+      properties: {
+        typicalMethod: { type: 'string', enum: ['purchase_order', 'verbal', 'online'] },
+        note: { type: 'string' }
+      }
+    },
+    defaults: {
+      type: 'object',
+      required: true,
+      properties: {
+        terms: { ...NAMED_REF, required: true },
+        salesTaxCode: { ...NAMED_REF, required: true },
+        payablesAccount: REF
+      }
+    },
+    currency: {
+      type: 'object',
+      properties: {
+        invoiceCurrency: { type: 'string', required: true, pattern: /^[A-Z]{3}$/ },
+        bookCurrency: { type: 'string', required: true, pattern: /^[A-Z]{3}$/ },
+        autoConvert: { type: 'boolean' }
+      }
+    },
+    commonItems: { type: 'object' },
+    invoiceFormat: {
+      type: 'object',
+      properties: {
+        layout: { type: 'string', required: true, enum: Object.keys(LAYOUTS) },
+        dateFormat: { type: 'string', required: true, enum: ['DD/MM/YYYY', 'MM/DD/YYYY', 'MM/DD/YY'] },
+        note: { type: 'string' }
+      }
+    },
+    transactionType: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', required: true, enum: ['bill', 'credit_card_charge'] },
+        endpoint: { type: 'string' }
+      }
+    },
+    billPattern: {
+      type: 'object',
+      properties: {
+        preferredMethod: { type: 'string', enum: ['itemLines', 'expenseLines'] },
+        notes: STRING_LIST,
+        template: { type: 'object' }
+      }
+    },
+    creditCardChargePattern: {
+      type: 'object',
+      properties: {
+        preferredMethod: { type: 'string', enum: ['itemLines', 'expenseLines'] },
+        notes: STRING_LIST,
+        template: { type: 'object' }
+      }
+    },
+    purchaseOrderPattern: {
+      type: 'object',
+      properties: {
+        notes: STRING_LIST,
+        item: REF,
+        poNumber: {
+          type: 'object',
+          properties: {
+            format: { type: 'string', required: true, pattern: PO_NUMBER_FORMAT },
+            note: { type: 'string' }
+          }
+        },
+        employeeField: { type: 'string', enum: ['otherCustomField1', 'otherCustomField2'] },
+        template: { type: 'object' }
+      }
+    },
+    variations: { type: 'object' },
+    warnings: STRING_LIST,
+    relatedEntities: { type: 'object' }
+  }
+};
+
+const CUSTOMER_SCHEMA = {
+  type: 'object',
+  properties: {
+    _meta: metaSchema('customer'),
+    customer: entitySchema(),
+    defaults: {
+      type: 'object',
+      required: true,
+      properties: {
+        terms: { ...NAMED_REF, required: true },
+        salesTaxCode: { ...NAMED_REF, required: true },
+        receivablesAccount: REF
+      }
+    },
+    commonItems: { type: 'object' },
+    invoicePattern: {
+      type: 'object',
+      properties: {
+        notes: STRING_LIST,
+        template: { type: 'object' }
+      }
+    },
+    salesOrderPattern: { type: 'object' },
+    variations: { type: 'object' },
+    warnings: STRING_LIST,
+    jobsAndProjects: { type: 'object' }
+  }
+};
+
+const SCHEMAS = {
+  vendor: VENDOR_SCHEMA,
+  customer: CUSTOMER_SCHEMA
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema node
+ * Returns a list of { field, message } (empty when valid)
+ */
+function validateAgainstSchema(value, schema, field = '') {
+  const errors = [];
+  const actual = typeOf(value);
+  const label = field || '(root)';
+
+  if (value === null && schema.nullable) {
+    return errors;
+  }
+
+  if (actual !== schema.type) {
+    errors.push({ field: label, message: `expected ${schema.type}, got ${actual}` });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field: label, message: `must be one of ${schema.enum.join(', ')} (got "${value}")` });
+  }
+
+  if (schema.pattern && !schema.pattern.test(value)) {
+    errors.push({ field: label, message: `"${value}" does not match ${schema.pattern}` });
+  }
+
+  if (schema.properties) {
+    for (const [key, child] of Object.entries(schema.properties)) {
+      const childField = field ? `${field}.${key}` : key;
+      if (value[key] === undefined) {
+        if (child.required) {
+          errors.push({ field: childField, message: 'is required' });
+        }
+        continue;
+      }
+      errors.push(...validateAgainstSchema(value[key], child, childField));
+    }
+  }
+
+  if (schema.items) {
+    value.forEach((item, i) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${field}[${i}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a parsed pattern file for the given entity type ('vendor' | 'customer')
+ */
+function validatePattern(pattern, entityType) {
+  const schema = SCHEMAS[entityType];
+  if (!schema) {
+    throw new Error(`Unknown pattern entity type: ${entityType}`);
+  }
+  return validateAgainstSchema(pattern, schema);
+}
+
+module.exports = { SCHEMAS, QB_ID, validatePattern, validateAgainstSchema };
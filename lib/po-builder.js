@@ -0,0 +1,137 @@
+/**
+ * Purchase Order Builder
+ * Turns a vendor pattern plus a list of lines into a createPurchaseOrder payload:
+ * item, terms, tax code and employee field from the pattern, PO number in the
+ * vendor's format ("purchaseOrderPattern.poNumber")
+ */
+
+const { PatternError } = require('./errors');
+const { loadCommonReferences } = require('./pattern-loader');
+const { classifyItem } = require('./item-classifier');
+const { formatToRegExp, formatRefNumber } = require('./ref-numbers');
+
+// Vendors without a poNumber format continue the company-wide PO sequence
+const DEFAULT_PO_FORMAT = '{sequence}';
+
+// PO lines QuickBooks adds for tax are not part of the order
+const TAX_LINE = /\b(HST|GST|PST|sales tax)\b/i;
+
+/**
+ * PO settings from a vendor pattern
+ * Returns { format, employeeField, item }
+ */
+function poSettings(pattern) {
+  const po = pattern.purchaseOrderPattern || {};
+  return {
+    format: po.poNumber?.format || DEFAULT_PO_FORMAT,
+    employeeField: po.employeeField || null,
+    item: po.item?.id ? po.item : null
+  };
+}
+
+/**
+ * PO number for a pattern's format; `sequence` is only needed for "{sequence}" formats
+ * Throws MISSING_EMPLOYEE when the format needs an employee and none is given
+ */
+function buildPONumber(format, { date, employee, sequence } = {}) {
+  if (format.includes('{employee}') && !employee) {
+    throw new PatternError(
+      `MISSING_EMPLOYEE: PO numbers for this vendor are "${format}" - pass the employee placing the order`,
+      { code: 'MISSING_EMPLOYEE' }
+    );
+  }
+  return formatRefNumber(format, { date, employee, sequence });
+}
+
+/**
+ * Throws INVALID_PO_NUMBER unless refNumber is written in the pattern's format
+ */
+function validatePONumber(format, refNumber, vendorName) {
+  if (!formatToRegExp(format).test(String(refNumber || ''))) {
+    throw new PatternError(
+      `INVALID_PO_NUMBER: PO #${refNumber} does not follow ${vendorName}'s PO number format "${format}"`,
+      { code: 'INVALID_PO_NUMBER' }
+    );
+  }
+}
+
+function formatRate(rate) {
+  const value = Number(rate);
+  const fixed = Number(value.toFixed(5)).toString();
+  return fixed.includes('.') && fixed.split('.')[1].length >= 2 ? fixed : value.toFixed(2);
+}
+
+/**
+ * Build the createPurchaseOrder payload
+ * lines: [{ description, quantity, rate, itemId? }] - lines without an itemId get
+ * the pattern's PO item, else the item-classifier's pick for the description
+ * Returns { payload, classifications } - classifications[i] is null when the
+ * line's item came from the caller or the PO item
+ */
+function buildPurchaseOrder(pattern, lines, { refNumber, transactionDate, employee = null, memo = null, references = null } = {}) {
+  const { employeeField, item } = poSettings(pattern);
+  const salesTaxCodeId = pattern.defaults.salesTaxCode.id;
+  const classifications = [];
+
+  const payloadLines = lines.map(line => {
+    let itemId = line.itemId || item?.id || null;
+    let classification = null;
+    if (!itemId) {
+      classification = classifyItem(line.description, pattern, { references: references || loadCommonReferences() });
+      itemId = classification.itemId;
+    }
+    classifications.push(classification);
+    return {
+      itemId,
+      description: line.description,
+      quantity: line.quantity ?? 1,
+      rate: formatRate(line.rate ?? 0),
+      salesTaxCodeId
+    };
+  });
+
+  const payload = {
+    vendorId: pattern.vendor.id,
+    transactionDate,
+    refNumber,
+    termsId: pattern.defaults.terms.id,
+    lines: payloadLines
+  };
+  if (memo) payload.memo = memo;
+  if (employee && employeeField) payload[employeeField] = employee;
+
+  return { payload, classifications };
+}
+
+function lineKey(line) {
+  const description = String(line.description || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  return `${description}|${Number(line.quantity ?? 1)}`;
+}
+
+/**
+ * An open PO that is the same order: same PO number, or the same lines
+ * (description and quantity, any order) ignoring tax lines QuickBooks adds
+ * Returns { po, reason } or null
+ */
+function findDuplicateOpenPO(payload, openPOs) {
+  const sameNumber = openPOs.find(po => po.refNumber && po.refNumber === payload.refNumber);
+  if (sameNumber) return { po: sameNumber, reason: `PO #${payload.refNumber} is already open` };
+
+  const wanted = payload.lines.map(lineKey).sort().join('\n');
+  const sameLines = openPOs.find(po => {
+    const lines = (po.lines || []).filter(line => !TAX_LINE.test(line.item?.fullName || ''));
+    return lines.length === payload.lines.length && lines.map(lineKey).sort().join('\n') === wanted;
+  });
+  if (sameLines) return { po: sameLines, reason: `open PO #${sameLines.refNumber} has the same lines` };
+
+  return null;
+}
+
+module.exports = {
+  DEFAULT_PO_FORMAT,
+  poSettings,
+  buildPONumber,
+  validatePONumber,
+  buildPurchaseOrder,
+  findDuplicateOpenPO
+};
@@ -0,0 +1,282 @@
+/**
+ * Purchase Order Matcher
+ * Finds the open PO a vendor invoice belongs to and checks the invoice lines
+ * against the PO lines (ordered, already received, now invoiced)
+ *
+ * Settings live in dataPatterns/_business_rules.json
+ * ("vendors.billCreation.linkToPurchaseOrder.poMatching")
+ */
+
+const fs = require('fs');
+const { RULES_FILE } = require('./rule-engine');
+
+const DEFAULTS = {
+  minConfidence: 0.6,
+  quantityTolerance: 0,
+  rateTolerancePercent: 1,
+  amountTolerance: 0.05,
+  additionalCharges: ['freight', 'shipping', 'delivery', 'handling', 'courier', 'fuel surcharge']
+};
+
+// Evidence weights - a PO number alone is not enough to link
+const WEIGHTS = { poNumber: 0.4, lines: 0.4, amount: 0.2 };
+
+// PO lines QuickBooks adds for tax are not goods that get invoiced
+const TAX_LINE = /\b(HST|GST|PST|sales tax)\b/i;
+
+function loadMatchSettings(file = RULES_FILE) {
+  const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const settings = content.vendors?.billCreation?.linkToPurchaseOrder?.poMatching || {};
+  return { ...DEFAULTS, ...settings };
+}
+
+function normalize(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// "45170-0390-15_01 Waterjet" -> ["45170039015_01"...] - tokens with a digit, 4+ chars
+function partTokens(text) {
+  return String(text || '')
+    .split(/[\s,;]+/)
+    .map(token => token.toLowerCase().replace(/[^a-z0-9_]/g, ''))
+    .filter(token => token.length >= 4 && /\d/.test(token));
+}
+
+function isVerbal(poNumber) {
+  return !poNumber || /^verbal$/i.test(String(poNumber).trim());
+}
+
+function money(value) {
+  const n = parseFloat(value);
+  return Number.isNaN(n) ? 0 : n;
+}
+
+function billLineRate(line) {
+  if (line.cost !== undefined || line.rate !== undefined) return money(line.cost ?? line.rate);
+  return line.quantity ? money(line.amount) / line.quantity : money(line.amount);
+}
+
+function billLineAmount(line) {
+  return line.amount !== undefined ? money(line.amount) : billLineRate(line) * (line.quantity ?? 1);
+}
+
+// Bill lines for freight and other charges the vendor adds on top of the PO
+function isAdditionalCharge(billLine, additionalCharges) {
+  const description = String(billLine.description || '').toLowerCase();
+  return additionalCharges.some(word => description.includes(String(word).toLowerCase()));
+}
+
+function goodsLines(po) {
+  return (po.lines || []).filter(line => !TAX_LINE.test(line.item?.fullName || '') && !line.isManuallyClosed);
+}
+
+function openQuantity(poLine) {
+  return (poLine.quantity ?? 0) - (poLine.receivedQuantity ?? 0);
+}
+
+/**
+ * How well a bill line's description matches a PO line: 2 = shared part
+ * number, 1 = one description contains the other, 0 = no match
+ */
+function descriptionScore(billLine, poLine) {
+  const billTokens = partTokens(billLine.description);
+  const poTokens = new Set(partTokens(poLine.description));
+  if (billTokens.some(token => poTokens.has(token))) return 2;
+
+  const a = normalize(billLine.description);
+  const b = normalize(poLine.description);
+  if (a && b && (a.includes(b) || b.includes(a))) return 1;
+  return 0;
+}
+
+/**
+ * Pair each bill line with its best unused PO line
+ * Returns [{ billIndex, poLine | null }]
+ */
+function pairLines(billLines, poLines) {
+  const used = new Set();
+  return billLines.map((billLine, billIndex) => {
+    let best = null;
+    let bestScore = 0;
+    poLines.forEach(poLine => {
+      if (used.has(poLine.id)) return;
+      const score = descriptionScore(billLine, poLine);
+      if (score > bestScore) {
+        best = poLine;
+        bestScore = score;
+      }
+    });
+    if (best) used.add(best.id);
+    return { billIndex, poLine: best };
+  });
+}
+
+function scorePurchaseOrder(billData, po, { poNumber, amountTolerance, additionalCharges }) {
+  const allLines = billData.itemLines || [];
+  const poLines = goodsLines(po);
+  const pairs = pairLines(allLines, poLines);
+  // Unpaired freight/charge lines neither count against the match nor towards the amount
+  const additions = pairs
+    .filter(p => !p.poLine && isAdditionalCharge(allLines[p.billIndex], additionalCharges))
+    .map(p => p.billIndex);
+  const billLines = allLines.filter((line, i) => !additions.includes(i));
+  const matched = pairs.filter(p => p.poLine).length;
+
+  const billAmount = billLines.reduce((sum, line) => sum + billLineAmount(line), 0);
+  const openAmount = poLines.reduce((sum, line) => sum + openQuantity(line) * money(line.rate), 0);
+
+  const evidence = [];
+  let confidence = 0;
+
+  if (!isVerbal(poNumber) && normalize(po.refNumber) === normalize(poNumber)) {
+    confidence += WEIGHTS.poNumber;
+    evidence.push(`PO number ${po.refNumber}`);
+  }
+  if (billLines.length > 0 && matched > 0) {
+    confidence += WEIGHTS.lines * (matched / billLines.length);
+    evidence.push(`${matched}/${billLines.length} line(s) matched by description`);
+  }
+  if (billLines.length > 0 && Math.abs(billAmount - openAmount) <= amountTolerance) {
+    confidence += WEIGHTS.amount;
+    evidence.push(`amount ${billAmount.toFixed(2)} matches open PO amount`);
+  }
+
+  return { po, pairs, additions, confidence: Math.round(confidence * 100) / 100, evidence, billAmount, openAmount };
+}
+
+/**
+ * Compare paired lines: quantity against what is still open on the PO line,
+ * rate against the PO rate. Freight and other additional charges are not variances
+ */
+function findVariances(billData, candidate, { quantityTolerance, rateTolerancePercent }) {
+  const billLines = billData.itemLines || [];
+  const variances = [];
+
+  candidate.pairs.forEach(({ billIndex, poLine }) => {
+    const billLine = billLines[billIndex];
+    const label = { line: billIndex + 1, description: billLine.description || null };
+
+    if (candidate.additions.includes(billIndex)) return;
+    if (!poLine) {
+      variances.push({ ...label, field: 'line', message: 'not on the PO' });
+      return;
+    }
+
+    const quantity = billLine.quantity ?? 1;
+    const open = openQuantity(poLine);
+    if (quantity - open > quantityTolerance) {
+      variances.push({
+        ...label,
+        field: 'quantity',
+        invoice: quantity,
+        ordered: poLine.quantity ?? 0,
+        received: poLine.receivedQuantity ?? 0,
+        message: `invoiced ${quantity} but only ${open} of ${poLine.quantity ?? 0} still open on the PO`
+      });
+    }
+
+    const rate = billLineRate(billLine);
+    const poRate = money(poLine.rate);
+    const allowed = Math.max(poRate * rateTolerancePercent / 100, 0.005);
+    if (Math.abs(rate - poRate) > allowed) {
+      variances.push({
+        ...label,
+        field: 'rate',
+        invoice: rate,
+        po: poRate,
+        message: `rate ${rate.toFixed(2)} vs PO ${poRate.toFixed(2)} (tolerance ${rateTolerancePercent}%)`
+      });
+    }
+  });
+
+  return variances;
+}
+
+/**
+ * Score every open PO against a bill payload and check the best one
+ * Returns {
+ *   po, confident, confidence, evidence, variances, candidates,
+ *   lineLinks: [{ billIndex, transactionId, transactionLineId }], unbilledLines,
+ *   additionalLines: [{ line, description }] (posted without a PO link), reason
+ * }
+ */
+function matchPurchaseOrder(billData, openPOs, options = {}) {
+  const settings = { ...loadMatchSettings(), ...options };
+  const scored = openPOs
+    .map(po => scorePurchaseOrder(billData, po, settings))
+    .filter(candidate => candidate.confidence > 0)
+    .sort((a, b) => b.confidence - a.confidence);
+
+  const report = {
+    po: null,
+    confident: false,
+    confidence: 0,
+    evidence: [],
+    variances: [],
+    candidates: scored.map(c => ({ id: c.po.id, refNumber: c.po.refNumber, confidence: c.confidence, evidence: c.evidence })),
+    lineLinks: [],
+    unbilledLines: [],
+    additionalLines: [],
+    reason: null
+  };
+
+  const best = scored[0];
+  if (!best) {
+    report.reason = 'no open PO shares a PO number, line description or amount with this invoice';
+    return report;
+  }
+
+  report.po = { id: best.po.id, refNumber: best.po.refNumber, transactionDate: best.po.transactionDate, totalAmount: best.po.totalAmount };
+  report.confidence = best.confidence;
+  report.evidence = best.evidence;
+  report.variances = findVariances(billData, best, settings);
+  report.lineLinks = best.pairs
+    .filter(p => p.poLine)
+    .map(p => ({ billIndex: p.billIndex, transactionId: best.po.id, transactionLineId: p.poLine.id }));
+  report.additionalLines = best.additions
+    .map(billIndex => ({ line: billIndex + 1, description: billData.itemLines[billIndex].description || null }));
+
+  const billed = new Set(report.lineLinks.map(link => link.transactionLineId));
+  report.unbilledLines = goodsLines(best.po)
+    .filter(line => !billed.has(line.id) && openQuantity(line) > 0)
+    .map(line => ({ id: line.id, description: line.description || null, open: openQuantity(line) }));
+
+  const runnerUp = scored[1];
+  if (best.confidence < settings.minConfidence) {
+    report.reason = `best match PO ${best.po.refNumber} has confidence ${best.confidence} (need ${settings.minConfidence})`;
+  } else if (runnerUp && best.confidence - runnerUp.confidence < 0.1) {
+    report.reason = `PO ${best.po.refNumber} and PO ${runnerUp.po.refNumber} match about equally well`;
+  } else {
+    report.confident = true;
+  }
+
+  return report;
+}
+
+/**
+ * Plain-text variance report for error messages and scripts
+ */
+function formatMatchReport(report) {
+  const out = [];
+  if (report.po) {
+    out.push(`  PO ${report.po.refNumber} (${report.po.id}) confidence ${report.confidence}: ${report.evidence.join(', ') || 'no evidence'}`);
+  }
+  if (report.reason) {
+    out.push(`  ${report.reason}`);
+  }
+  report.candidates.slice(1).forEach(c => {
+    out.push(`  also considered PO ${c.refNumber} (${c.id}) confidence ${c.confidence}`);
+  });
+  report.variances.forEach(v => {
+    out.push(`  - line ${v.line}${v.description ? ` "${v.description}"` : ''}: ${v.message}`);
+  });
+  report.additionalLines.forEach(line => {
+    out.push(`  (not on the PO, posted unlinked: line ${line.line} "${line.description}")`);
+  });
+  report.unbilledLines.forEach(line => {
+    out.push(`  (not on this invoice: "${line.description}", ${line.open} still open)`);
+  });
+  return out.join('\n');
+}
+
+module.exports = { loadMatchSettings, matchPurchaseOrder, formatMatchReport, isVerbal };
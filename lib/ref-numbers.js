@@ -0,0 +1,79 @@
+/**
+ * Reference Numbers
+ * Works out the next number in a company numbering sequence (invoice and PO
+ * numbers) from the refNumbers already in QuickBooks, and builds/checks PO
+ * numbers against a vendor pattern's format ("{MMDD}{employee}")
+ */
+
+// Placeholders allowed in a refNumber format and what each may expand to
+const FORMAT_TOKENS = {
+  '{MMDD}': '(?:0[1-9]|1[0-2])(?:0[1-9]|[12]\\d|3[01])',
+  '{employee}': '[A-Z]+',
+  '{sequence}': '\\d+'
+};
+
+// "INV-01042" -> { prefix: "INV-", number: 1042, width: 5 }
+function parseSequential(refNumber) {
+  const m = String(refNumber || '').trim().match(/^(\D*)(\d+)$/);
+  return m ? { prefix: m[1], number: parseInt(m[2], 10), width: m[2].length } : null;
+}
+
+/**
+ * Next refNumber after the highest one in the sequence used by the most recent
+ * record, keeping its prefix and zero padding
+ * records: [{ refNumber, transactionDate }]; returns null when nothing is numbered
+ */
+function nextInSequence(records) {
+  const parsed = records
+    .map(record => ({ ...record, parsed: parseSequential(record.refNumber) }))
+    .filter(record => record.parsed);
+  if (parsed.length === 0) return null;
+
+  // Follow the sequence of the latest record - older one-offs ("ADJ-7") do not count
+  const latest = [...parsed].sort((a, b) => String(b.transactionDate).localeCompare(String(a.transactionDate)))[0];
+  const { prefix } = latest.parsed;
+  const highest = parsed
+    .filter(record => record.parsed.prefix === prefix)
+    .reduce((max, record) => (record.parsed.number > max.number ? record.parsed : max), latest.parsed);
+
+  return `${prefix}${String(highest.number + 1).padStart(highest.width, '0')}`;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * RegExp a refNumber written in `format` must match
+ * "{MMDD}{employee}" -> /^(?:0[1-9]|1[0-2])(?:...)[A-Z]+$/
+ */
+function formatToRegExp(format) {
+  const source = format
+    .split(/(\{[A-Za-z]+\})/)
+    .filter(Boolean)
+    .map(part => {
+      if (!part.startsWith('{')) return escapeRegExp(part);
+      if (!FORMAT_TOKENS[part]) throw new Error(`Unknown refNumber placeholder ${part} in "${format}"`);
+      return FORMAT_TOKENS[part];
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+// "V. Averkin" -> "VAVERKIN"
+function employeeCode(employee) {
+  return String(employee || '').toUpperCase().replace(/[^A-Z]/g, '');
+}
+
+/**
+ * Fill a refNumber format
+ * values: { date: 'YYYY-MM-DD', employee, sequence } - only the ones the format uses are needed
+ */
+function formatRefNumber(format, { date, employee, sequence } = {}) {
+  return format
+    .replace('{MMDD}', () => String(date).slice(5, 7) + String(date).slice(8, 10))
+    .replace('{employee}', () => employeeCode(employee))
+    .replace('{sequence}', () => String(sequence));
+}
+
+module.exports = { parseSequential, nextInSequence, formatToRegExp, formatRefNumber, employeeCode };
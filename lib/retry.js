@@ -0,0 +1,62 @@
+/**
+ * Retry Policy
+ * Decides which Conductor failures are transient and how long to wait between attempts
+ */
+
+// HTTP statuses worth retrying (rate limit, gateway/proxy errors)
+const TRANSIENT_STATUSES = [429, 502, 503, 504];
+
+// Conductor error types that mean "try again later" rather than "your request is wrong"
+const TRANSIENT_ERROR_TYPES = [
+  'INTEGRATION_CONNECTION_ERROR',  // QuickBooks Desktop / Web Connector not running or not connected
+  'RATE_LIMIT_ERROR',
+  'SERVICE_UNAVAILABLE_ERROR'
+];
+
+// Error codes for dropped connections, busy company files and our own transport failures
+const TRANSIENT_ERROR_CODES = [
+  'QBD_CONNECTION_ERROR',
+  'QBD_REQUEST_TIMEOUT',
+  'QBD_COMPANY_FILE_IN_USE',
+  'INTEGRATION_CONNECTION_NOT_ACTIVE',
+  'NETWORK_ERROR',
+  'REQUEST_TIMEOUT',
+  'INVALID_RESPONSE'
+];
+
+/**
+ * status: HTTP status, or null when no response was received
+ * data: parsed response body ({ error: { type, code } } on failure)
+ */
+function isTransientFailure(status, data) {
+  if (status === null) return true;
+  if (TRANSIENT_STATUSES.includes(status)) return true;
+
+  const error = data?.error || {};
+  return TRANSIENT_ERROR_TYPES.includes(error.type) || TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Exponential backoff with jitter; honours a Retry-After header (seconds) when present
+ */
+function backoffDelay(attempt, baseDelayMs, retryAfter = null) {
+  const retryAfterSeconds = parseInt(retryAfter, 10);
+  if (!Number.isNaN(retryAfterSeconds)) {
+    return retryAfterSeconds * 1000;
+  }
+  const exponential = baseDelayMs * Math.pow(2, attempt - 1);
+  return exponential + Math.floor(Math.random() * baseDelayMs);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  TRANSIENT_STATUSES,
+  TRANSIENT_ERROR_TYPES,
+  TRANSIENT_ERROR_CODES,
+  isTransientFailure,
+  backoffDelay,
+  sleep
+};
@@ -0,0 +1,130 @@
+/**
+ * Business Rule Engine
+ * Applies the machine-readable rules in dataPatterns/_business_rules.json
+ * ("enforcement.rules") to create payloads before they are sent to Conductor
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BusinessRuleError } = require('./errors');
+
+const RULES_FILE = path.join(__dirname, '..', 'dataPatterns', '_business_rules.json');
+
+function loadRules(file = RULES_FILE) {
+  const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return content.enforcement?.rules || [];
+}
+
+/**
+ * Expand a field path like "itemLines[].itemId" into concrete locations
+ * Returns [{ path, parent, key }] - one per array element for "[]" segments
+ */
+function resolveField(payload, field) {
+  let targets = [{ path: '', value: payload }];
+  const segments = field.split('.');
+
+  segments.forEach((segment, i) => {
+    const isLast = i === segments.length - 1;
+    const isArray = segment.endsWith('[]');
+    const key = isArray ? segment.slice(0, -2) : segment;
+    const next = [];
+
+    for (const target of targets) {
+      const prefix = target.path ? `${target.path}.` : '';
+      if (isLast) {
+        next.push({ path: `${prefix}${key}`, parent: target.value, key });
+        continue;
+      }
+      const child = target.value?.[key];
+      if (isArray) {
+        (Array.isArray(child) ? child : []).forEach((el, idx) => {
+          next.push({ path: `${prefix}${key}[${idx}]`, value: el });
+        });
+      } else if (child && typeof child === 'object') {
+        next.push({ path: `${prefix}${key}`, value: child });
+      }
+    }
+
+    targets = next;
+  });
+
+  return targets;
+}
+
+function satisfies(rule, value) {
+  if (rule.expect === 'equals') return value === rule.value;
+  if (rule.expect === 'notEquals') return value !== rule.value;
+  throw new Error(`Unknown rule expectation "${rule.expect}" in rule ${rule.id}`);
+}
+
+/**
+ * Run every rule that applies to `entity` (e.g. 'bills') against a payload
+ * Returns { payload, corrections, violations, warnings } - payload is a corrected copy
+ */
+function applyRules(entity, payload, rules = loadRules()) {
+  const result = {
+    payload: JSON.parse(JSON.stringify(payload)),
+    corrections: [],
+    violations: [],
+    warnings: []
+  };
+
+  for (const rule of rules) {
+    if (!rule.appliesTo?.includes(entity)) continue;
+
+    for (const { path: field, parent, key } of resolveField(result.payload, rule.field)) {
+      const value = parent[key];
+      const entry = { rule: rule.id, field, value: value ?? null, expected: rule.value, description: rule.description };
+
+      if (value === undefined || value === null) {
+        if (rule.whenMissing === 'set') {
+          parent[key] = rule.value;
+          result.corrections.push({ ...entry, to: rule.value });
+        } else if (rule.whenMissing === 'reject') {
+          result.violations.push(entry);
+        }
+        continue;
+      }
+
+      if (satisfies(rule, value)) continue;
+
+      if (rule.onViolation === 'correct') {
+        parent[key] = rule.value;
+        result.corrections.push({ ...entry, to: rule.value });
+      } else if (rule.onViolation === 'warn') {
+        result.warnings.push(entry);
+      } else {
+        result.violations.push(entry);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Apply rules and return the corrected payload, or throw BUSINESS_RULE_VIOLATION
+ * listing every violation
+ */
+function enforceRules(entity, payload, rules = loadRules()) {
+  const result = applyRules(entity, payload, rules);
+
+  result.corrections.forEach(c => {
+    console.log(`[RULE] ${c.rule}: ${c.field} ${c.value === null ? 'set' : `"${c.value}" ->`} "${c.to}"`);
+  });
+  result.warnings.forEach(w => {
+    console.log(`[RULE] WARNING ${w.rule}: ${w.field} is "${w.value}" - ${w.description}`);
+  });
+
+  if (result.violations.length > 0) {
+    throw new BusinessRuleError(
+      `BUSINESS_RULE_VIOLATION: ${entity} payload breaks ${result.violations.length} rule(s):\n` +
+      result.violations.map(v => `  - ${v.rule}: ${v.field} = "${v.value}" (${v.description})`).join('\n'),
+      { code: 'BUSINESS_RULE_VIOLATION', violations: result.violations }
+    );
+  }
+
+  return result.payload;
+}
+
+module.exports = { RULES_FILE, loadRules, applyRules, enforceRules };
@@ -0,0 +1,176 @@
+/**
+ * Undo
+ * Works out how to reverse a logged write: a created transaction is deleted
+ * (or voided), a created vendor is made inactive, and an update or void is
+ * reverted to the `before` snapshot in its log. ConductorClient.undo() carries
+ * the plan out and logs the reversal with `undoOf` naming the original log file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { UndoError } = require('./errors');
+const { LOGS_DIR } = require('./logger');
+const { readIndex, normalizeEntity } = require('./log-index');
+
+// Only writes that reached QuickBooks can be reversed
+const REVERSIBLE = ['success', 'recovered'];
+
+// Resources the client can delete; everything else needs another kind of reversal
+const DELETABLE = ['bills', 'purchase-orders', 'invoices', 'credit-card-charges'];
+const VOIDABLE = ['bills', 'invoices', 'credit-card-charges'];
+
+// Line fields copied back when restoring lines (refs become "<name>Id")
+const LINE_KEYS = ['itemLines', 'expenseLines', 'lines'];
+const LINE_FIELDS = ['description', 'quantity', 'cost', 'rate', 'amount', 'memo', 'unitOfMeasure', 'serviceDate'];
+const LINE_REFS = ['item', 'account', 'salesTaxCode', 'class', 'customer'];
+
+function resourceFor(entity) {
+  return normalizeEntity(entity).replace(/_/g, '-');
+}
+
+function readLog(file) {
+  try {
+    return { file: path.basename(file), entry: JSON.parse(fs.readFileSync(file, 'utf8')) };
+  } catch (e) {
+    throw new UndoError(`UNDO_TARGET_NOT_FOUND: Cannot read log ${file}: ${e.message}`, { code: 'UNDO_TARGET_NOT_FOUND', logFile: file });
+  }
+}
+
+// Log files whose write has already been reversed
+function undoneFiles(lines) {
+  return new Set(lines.filter(line => line.undoOf && REVERSIBLE.includes(line.status)).map(line => line.undoOf));
+}
+
+/**
+ * Resolve a log file (path or name in logs/) or a refNumber to one log
+ * A refNumber must match exactly one write that went through and is not
+ * itself an undo; pass `entity` to choose between e.g. a bill and a charge
+ * Returns { file, entry }
+ */
+function findTargetLog(target, { dir = LOGS_DIR, entity = null } = {}) {
+  const asFile = [target, path.join(dir, target)].find(f => f.endsWith('.json') && fs.existsSync(f));
+  if (asFile) return readLog(asFile);
+
+  const lines = readIndex(dir);
+  const undone = undoneFiles(lines);
+  const matches = lines.filter(line =>
+    line.refNumber === target &&
+    REVERSIBLE.includes(line.status) &&
+    !line.undoOf &&
+    !undone.has(line.file) &&
+    (!entity || line.entity === normalizeEntity(entity))
+  );
+
+  if (matches.length === 0) {
+    throw new UndoError(
+      `UNDO_TARGET_NOT_FOUND: No write for "${target}" in ${dir}/index.jsonl that can still be undone` +
+      (lines.length === 0 ? ' (index is empty - run node audit-log.js backfill)' : ''),
+      { code: 'UNDO_TARGET_NOT_FOUND' }
+    );
+  }
+  if (matches.length > 1) {
+    throw new UndoError(
+      `UNDO_AMBIGUOUS: ${matches.length} writes for "${target}" - pass the log file (or --entity):\n` +
+      matches.map(line => `  - ${line.file} (${line.action} ${line.entity})`).join('\n'),
+      { code: 'UNDO_AMBIGUOUS' }
+    );
+  }
+  return readLog(path.join(dir, matches[0].file));
+}
+
+function restoreLine(line) {
+  const restored = { id: '-1' };
+  LINE_FIELDS.forEach(key => {
+    if (line[key] !== undefined && line[key] !== null) restored[key] = line[key];
+  });
+  LINE_REFS.forEach(key => {
+    if (line[key]?.id) restored[`${key}Id`] = line[key].id;
+  });
+  return restored;
+}
+
+/**
+ * POs the record's lines were received against, as "PO <refNumber>" labels
+ * Restored lines come back as new lines, so these links (and the PO received
+ * quantities) would be lost
+ */
+function linkedPurchaseOrders(before, request) {
+  if (!LINE_KEYS.some(key => key in (request || {}))) return [];
+  const lineLinks = LINE_KEYS.flatMap(key => before[key] || [])
+    .flatMap(line => line.linkedTransactions || (line.linkToTransactionLine ? [{ id: line.linkToTransactionLine.transactionId, transactionType: 'purchase_order' }] : []));
+  const links = [...(before.linkedTransactions || []), ...lineLinks].filter(t => t.transactionType === 'purchase_order');
+  return [...new Set(links.map(t => `PO ${t.refNumber || t.id}`))];
+}
+
+/**
+ * Update body that puts back every field the logged update/void changed, from
+ * the record as it was before. Lines are re-added as new lines ("id": "-1")
+ */
+function restoreFields(before, request) {
+  const changes = {};
+  Object.keys(request || {}).forEach(key => {
+    if (key === 'revisionNumber') return;
+    if (LINE_KEYS.includes(key)) {
+      changes[key] = (before[key] || []).map(restoreLine);
+    } else if (key.endsWith('Id') && !(key in before)) {
+      changes[key] = before[key.slice(0, -2)]?.id ?? null;
+    } else {
+      // A field the record did not have (e.g. no memo) is cleared
+      changes[key] = before[key] ?? (typeof request[key] === 'string' ? '' : null);
+    }
+  });
+  return changes;
+}
+
+/**
+ * Plan the reversal of one log
+ * mode: 'delete' (default) or 'void' for created transactions
+ * Restoring the lines of a record received against a PO is refused
+ * (UNDO_LINKED_LINES) unless unlink: the lines would come back without their PO link
+ * Returns { file, entry, kind: 'delete' | 'void' | 'deactivate' | 'restore', resource, id, changes, unlinks }
+ */
+function buildUndoPlan({ file, entry }, { mode = 'delete', dir = LOGS_DIR, unlink = false } = {}) {
+  const fail = (code, message) => {
+    throw new UndoError(`${code}: ${message}`, { code, logFile: file });
+  };
+
+  if (entry.status === 'dry_run') fail('CANNOT_UNDO', `${file} is a dry run - nothing was sent to QuickBooks`);
+  if (!REVERSIBLE.includes(entry.status)) fail('CANNOT_UNDO', `${file} records a failed write (${entry.status}) - nothing to reverse`);
+  if (undoneFiles(readIndex(dir)).has(file)) fail('ALREADY_UNDONE', `${file} has already been undone`);
+
+  const resource = resourceFor(entry.entity);
+  const id = entry.response?.id || entry.before?.id;
+  if (!id) fail('CANNOT_UNDO', `${file} has no record ID`);
+
+  if (entry.action === 'create') {
+    if (resource === 'vendors') return { file, entry, kind: 'deactivate', resource, id, changes: { isActive: false } };
+    if (mode === 'void') {
+      if (!VOIDABLE.includes(resource)) fail('CANNOT_UNDO', `${resource} cannot be voided - undo deletes it instead`);
+      return { file, entry, kind: 'void', resource, id, changes: null };
+    }
+    if (!DELETABLE.includes(resource)) fail('CANNOT_UNDO', `created ${resource} cannot be deleted through Conductor`);
+    return { file, entry, kind: 'delete', resource, id, changes: null };
+  }
+
+  if (entry.action === 'update' || entry.action === 'void') {
+    if (!entry.before) fail('CANNOT_UNDO', `${file} has no "before" snapshot to restore`);
+    const unlinks = linkedPurchaseOrders(entry.before, entry.request);
+    if (unlinks.length > 0 && !unlink) {
+      fail(
+        'UNDO_LINKED_LINES',
+        `${file} restores lines that were received against ${unlinks.join(', ')}. They would come back unlinked ` +
+        'and the PO received quantities would not be restored - delete and re-create the bill with createBillFromInvoice, ' +
+        'or pass unlink to restore the lines without the link'
+      );
+    }
+    return { file, entry, kind: 'restore', resource, id, changes: restoreFields(entry.before, entry.request), unlinks };
+  }
+
+  return fail('CANNOT_UNDO', `${entry.action} cannot be undone - the "before" snapshot in ${file} has the deleted record`);
+}
+
+module.exports = {
+  findTargetLog,
+  restoreFields,
+  buildUndoPlan
+};
@@ -0,0 +1,214 @@
+/**
+ * Vendor Matcher
+ * Deterministic vendor lookup for names as they appear on invoices or in
+ * requests ("TNT Tools" -> "T.N.T. TOOLS 2025 INC."), scored against the
+ * QuickBooks vendor list and the identifiers kept in vendor patterns
+ *
+ * Settings live in dataPatterns/_business_rules.json ("vendors.vendorMatching")
+ */
+
+const fs = require('fs');
+const { RULES_FILE } = require('./rule-engine');
+
+const DEFAULTS = {
+  minScore: 0.8,
+  ambiguityMargin: 0.05
+};
+
+// Dropped before comparing names
+const CORPORATE_SUFFIXES = new Set([
+  'inc', 'incorporated', 'ltd', 'limited', 'ltee', 'corp', 'corporation',
+  'co', 'company', 'llc', 'llp', 'plc', 'the', 'and'
+]);
+
+// Shared mailbox providers say nothing about which company sent the mail
+const GENERIC_EMAIL_DOMAINS = new Set([
+  'gmail.com', 'yahoo.com', 'yahoo.ca', 'hotmail.com', 'outlook.com',
+  'live.com', 'icloud.com', 'aol.com', 'rogers.com', 'bell.net', 'sympatico.ca'
+]);
+
+function loadMatchSettings(file = RULES_FILE) {
+  const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const settings = content.vendors?.vendorMatching || {};
+  return {
+    minScore: settings.minScore ?? DEFAULTS.minScore,
+    ambiguityMargin: settings.ambiguityMargin ?? DEFAULTS.ambiguityMargin
+  };
+}
+
+/**
+ * "T.N.T. TOOLS 2025 INC." -> "tnt tools"; "J & B Machining Services Inc." -> "j b machining services"
+ * Lowercases, joins dotted initials, drops punctuation, years and corporate suffixes
+ */
+function normalizeVendorName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’`]/g, '')
+    .replace(/\b([a-z])\.(?=[a-z]\.?\b)/g, '$1')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(token => token && !CORPORATE_SUFFIXES.has(token) && !/^(19|20)\d{2}$/.test(token))
+    .join(' ');
+}
+
+function compact(name) {
+  return normalizeVendorName(name).replace(/ /g, '');
+}
+
+function bigrams(text) {
+  const grams = [];
+  for (let i = 0; i < text.length - 1; i++) grams.push(text.slice(i, i + 2));
+  return grams;
+}
+
+// Sørensen-Dice over character pairs: tolerant of typos and word order
+function dice(a, b) {
+  const gramsA = bigrams(a);
+  const gramsB = bigrams(b);
+  if (gramsA.length === 0 || gramsB.length === 0) return a === b ? 1 : 0;
+  const pool = [...gramsB];
+  let shared = 0;
+  gramsA.forEach(gram => {
+    const index = pool.indexOf(gram);
+    if (index !== -1) {
+      shared++;
+      pool.splice(index, 1);
+    }
+  });
+  return (2 * shared) / (gramsA.length + gramsB.length);
+}
+
+/**
+ * Similarity of two vendor names, 0-1
+ * Identical after normalizing = 1; one inside the other scales with how much
+ * of the longer name it covers ("jbmachining" in "jbmachiningservices")
+ */
+function nameSimilarity(a, b) {
+  const x = compact(a);
+  const y = compact(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+
+  const [shorter, longer] = x.length <= y.length ? [x, y] : [y, x];
+  if (shorter.length >= 3 && longer.includes(shorter)) {
+    return 0.6 + 0.4 * (shorter.length / longer.length);
+  }
+  return dice(x, y);
+}
+
+function emailDomain(email) {
+  const m = String(email || '').toLowerCase().match(/@([a-z0-9.-]+)$/);
+  return m ? m[1] : null;
+}
+
+// First 9 digits of an HST/GST registration are the CRA business number
+function businessNumber(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length >= 9 ? digits.slice(0, 9) : null;
+}
+
+/**
+ * Score one candidate against the query
+ * candidate: { id, name, companyName, email, hstNumber, names: [] }
+ * Returns { score, evidence }
+ */
+function scoreCandidate(query, candidate) {
+  const evidence = [];
+  const names = [candidate.name, candidate.companyName, ...(candidate.names || [])].filter(Boolean);
+
+  let score = 0;
+  if (query.name) {
+    let best = { name: null, similarity: 0 };
+    names.forEach(name => {
+      const similarity = nameSimilarity(query.name, name);
+      if (similarity > best.similarity) best = { name, similarity };
+    });
+    score = best.similarity;
+    if (best.similarity > 0) evidence.push(`name ${Math.round(best.similarity * 100)}% like "${best.name}"`);
+  }
+
+  const queryBN = businessNumber(query.hstNumber);
+  if (queryBN && queryBN === businessNumber(candidate.hstNumber)) {
+    evidence.push(`HST business number ${queryBN}`);
+    return { score: 1, evidence };
+  }
+
+  if (query.email && candidate.email && query.email.toLowerCase() === candidate.email.toLowerCase()) {
+    score += 0.4;
+    evidence.push(`email ${candidate.email}`);
+  } else {
+    const domain = emailDomain(query.email);
+    if (domain && !GENERIC_EMAIL_DOMAINS.has(domain) && domain === emailDomain(candidate.email)) {
+      score += 0.3;
+      evidence.push(`email domain ${domain}`);
+    }
+  }
+
+  return { score: Math.min(1, Math.round(score * 100) / 100), evidence };
+}
+
+/**
+ * Join the QuickBooks vendor list with identifiers from vendor patterns
+ * vendors: getVendorListForMatching() rows; patterns: loadPatterns('vendor').patterns
+ */
+function buildCandidates(vendors, patterns = []) {
+  const byId = new Map(patterns.map(({ file, pattern }) => [pattern.vendor.id, { file, vendor: pattern.vendor }]));
+  return vendors.map(vendor => {
+    const fromPattern = byId.get(vendor.id);
+    return {
+      id: vendor.id,
+      name: vendor.name,
+      companyName: vendor.companyName || null,
+      email: vendor.email || fromPattern?.vendor.email || null,
+      hstNumber: fromPattern?.vendor.hstNumber || null,
+      names: fromPattern ? [fromPattern.vendor.name, fromPattern.vendor.companyName].filter(Boolean) : [],
+      patternFile: fromPattern?.file || null
+    };
+  });
+}
+
+/**
+ * Rank candidates for a query ({ name, email, hstNumber } or just a name)
+ * Returns { match, candidates: [{ id, name, companyName, patternFile, score, evidence }], reason }
+ * match is null when the best score is below minScore or another vendor is
+ * within ambiguityMargin of it
+ */
+function matchVendor(query, candidates, { limit = 5, ...options } = {}) {
+  const settings = { ...loadMatchSettings(), ...options };
+  const q = typeof query === 'string' ? { name: query } : query;
+
+  const ranked = candidates
+    .map(candidate => ({ candidate, ...scoreCandidate(q, candidate) }))
+    .filter(r => r.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ candidate, score, evidence }) => ({
+      id: candidate.id,
+      name: candidate.name,
+      companyName: candidate.companyName,
+      patternFile: candidate.patternFile || null,
+      score,
+      evidence
+    }));
+
+  const [best, runnerUp] = ranked;
+  let reason = null;
+  if (!best) {
+    reason = 'no vendor shares a name, email or HST number with the query';
+  } else if (best.score < settings.minScore) {
+    reason = `best candidate "${best.name}" scored ${best.score} (need ${settings.minScore})`;
+  } else if (runnerUp && best.score - runnerUp.score < settings.ambiguityMargin) {
+    reason = `"${best.name}" and "${runnerUp.name}" match about equally well`;
+  }
+
+  return { match: reason ? null : best, candidates: ranked, reason };
+}
+
+module.exports = {
+  loadMatchSettings,
+  normalizeVendorName,
+  nameSimilarity,
+  buildCandidates,
+  matchVendor
+};
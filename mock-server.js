@@ -0,0 +1,74 @@
+/**
+ * Offline Conductor Mock Server
+ *
+ * Run: node mock-server.js [port]
+ * Then point the client or scripts at it:
+ *   CONDUCTOR_API_BASE=http://127.0.0.1:4010/v1 node qbd.js status
+ *
+ * Or run one command against it and exit with that command's code (npm test):
+ *   node mock-server.js --run node qbd.js status
+ * The command gets mock credentials and a throwaway cache and logs folder, so
+ * it never reaches the live API or touches cache/ and logs/
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { MockConductorServer } = require('./lib/mock-server');
+
+async function runAgainstMock(command) {
+  const server = new MockConductorServer();
+  const baseUrl = await server.listen(0);
+  const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'conductor-mock-'));
+
+  const env = {
+    ...process.env,
+    CONDUCTOR_API_BASE: baseUrl,
+    CONDUCTOR_API_KEY: 'mock',
+    CONDUCTOR_END_USER_ID: 'mock',
+    CONDUCTOR_CACHE_DIR: path.join(scratch, 'cache'),
+    CONDUCTOR_LOGS_DIR: path.join(scratch, 'logs')
+  };
+  const code = await new Promise(resolve => {
+    const child = spawn(command[0], command.slice(1), { env, stdio: 'inherit' });
+    child.on('error', error => {
+      console.error('ERROR:', error.message);
+      resolve(1);
+    });
+    child.on('exit', exitCode => resolve(exitCode ?? 1));
+  });
+
+  server.close();
+  fs.rmSync(scratch, { recursive: true, force: true });
+  process.exit(code);
+}
+
+async function main() {
+  const runIndex = process.argv.indexOf('--run');
+  if (runIndex !== -1) {
+    const command = process.argv.slice(runIndex + 1);
+    if (command.length === 0) {
+      console.error('Usage: node mock-server.js --run <command> [args...]');
+      process.exit(1);
+    }
+    return runAgainstMock(command);
+  }
+
+  const port = parseInt(process.argv[2] || process.env.MOCK_CONDUCTOR_PORT || '4010', 10);
+  const server = new MockConductorServer();
+  const baseUrl = await server.listen(port);
+
+  console.log('='.repeat(60));
+  console.log('Conductor Mock Server (seeded from logs/)');
+  console.log('='.repeat(60));
+  console.log('');
+  for (const [resource, records] of Object.entries(server.store)) {
+    console.log(`    ${resource}: ${records.size} record(s)`);
+  }
+  console.log('');
+  console.log(`Listening on ${baseUrl}`);
+  console.log(`Set CONDUCTOR_API_BASE=${baseUrl} to use it`);
+}
+
+main();
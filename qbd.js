@@ -0,0 +1,356 @@
+#!/usr/bin/env node
+/**
+ * qbd - QuickBooks Desktop command line (through ConductorClient)
+ *
+ * Run: node qbd.js <command> [options]   (or `npx qbd` / `npm run qbd --`)
+ *   status                                     connection and company check (READ ONLY)
+ *   vendors search <name>                      ranked QuickBooks vendors for a name
+ *   pos open --vendor <id | name>              open purchase orders for a vendor
+ *   bills find --ref <refNumber> [--vendor]    find a bill by vendor invoice number
+ *   bills find --vendor <id | name> [--days]   recent bills for a vendor (default 365 days)
+ *   bill create --file <bill.json> [--po <refNumber>] [--allow-unlinked] [--yes]
+ *   charge create --file <charge.json> [--yes]
+ *   patterns list [--type vendor | customer]
+ *   patterns validate
+ *   cache status                               age and size of the local list cache
+ *   cache sync [--resource bills] [--full] [--max-pages 100]   refresh the cache now
+ * Every command takes --json for machine-readable output. Searches read the
+ * local list cache (lib/list-cache.js); --live skips it. Creates are previewed
+ * as dry runs until --yes is given; bills go through createBillFromInvoice, so
+ * they are linked to their open PO (or refused with the PO match report).
+ */
+
+const fs = require('fs');
+const ConductorClient = require('./conductor-client');
+const { loadPatterns, formatPatternError } = require('./lib/pattern-loader');
+const { CACHED_RESOURCES, describeCache } = require('./lib/list-cache');
+
+const BOOLEAN_FLAGS = ['json', 'yes', 'dry-run', 'allow-unlinked', 'live', 'full'];
+
+// QuickBooks list IDs look like "800002F2-1498582191"; anything else is a name
+const LIST_ID = /^[0-9A-F]+-\d+$/i;
+
+function parseArgs(argv) {
+  const args = { positional: [], flags: {} };
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) {
+      args.positional.push(argv[i]);
+      continue;
+    }
+    const flag = argv[i].slice(2);
+    if (BOOLEAN_FLAGS.includes(flag)) args.flags[flag] = true;
+    else if (i + 1 < argv.length) args.flags[flag] = argv[++i];
+    else throw new Error(`--${flag} needs a value`);
+  }
+  return args;
+}
+
+function requireFlag(flags, name) {
+  if (!flags[name]) throw new Error(`--${name} is required`);
+  return flags[name];
+}
+
+function money(value) {
+  return value === null || value === undefined || value === '' ? '' : `$${parseFloat(value).toFixed(2)}`;
+}
+
+/**
+ * Print rows as a fixed-width table
+ * columns: [{ label, value: row => text, align: 'right' }]
+ */
+function printTable(rows, columns) {
+  if (rows.length === 0) {
+    console.log('(none)');
+    return;
+  }
+  const cells = rows.map(row => columns.map(col => String(col.value(row) ?? '')));
+  const widths = columns.map((col, i) => Math.max(col.label.length, ...cells.map(r => r[i].length)));
+  const pad = (text, i) => (columns[i].align === 'right' ? text.padStart(widths[i]) : text.padEnd(widths[i]));
+  console.log(columns.map((col, i) => pad(col.label, i)).join('  ').trimEnd());
+  console.log(widths.map(w => '-'.repeat(w)).join('  '));
+  cells.forEach(r => console.log(r.map(pad).join('  ').trimEnd()));
+}
+
+function banner(title) {
+  console.log('='.repeat(60));
+  console.log(title);
+  console.log('='.repeat(60));
+  console.log('');
+}
+
+/**
+ * Vendor ID for --vendor: a list ID is used as given, a name must match one vendor
+ */
+async function resolveVendor(client, value) {
+  if (LIST_ID.test(value)) return { id: value, name: value };
+  const { match, candidates, reason } = await client.matchVendor(value);
+  if (!match) {
+    const listed = candidates.map(c => `  - ${c.name} (${c.id}) score ${c.score}`).join('\n');
+    throw new Error(`VENDOR_NOT_FOUND: ${reason || `no vendor matches "${value}"`}${listed ? `\n${listed}` : ''}`);
+  }
+  return { id: match.id, name: match.name };
+}
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+}
+
+// ============================================================
+// COMMANDS
+// ============================================================
+
+async function status(client, { flags }) {
+  const endUser = await client.getEndUser();
+  const connection = endUser.integrationConnections?.find(c => c.integrationSlug === 'quickbooks_desktop') || null;
+  const result = {
+    companyName: endUser.companyName,
+    email: endUser.email,
+    endUserId: client.endUserId,
+    quickbooksConnected: Boolean(connection),
+    lastRequestAt: connection?.lastRequestAt || null,
+    vendorPatterns: loadPatterns('vendor').patterns.length,
+    customerPatterns: loadPatterns('customer').patterns.length
+  };
+  if (flags.json) return result;
+
+  banner('QuickBooks Connection Status (READ ONLY)');
+  console.log(`Company:           ${result.companyName}`);
+  console.log(`Email:             ${result.email}`);
+  console.log(`End User ID:       ${result.endUserId}`);
+  console.log(`QuickBooks:        ${connection ? `connected, last request ${result.lastRequestAt}` : 'NOT CONNECTED - complete the auth flow first'}`);
+  console.log(`Patterns:          ${result.vendorPatterns} vendor, ${result.customerPatterns} customer`);
+  if (!connection) process.exitCode = 1;
+  return result;
+}
+
+async function vendorsSearch(client, { positional, flags }) {
+  const query = positional.join(' ');
+  if (!query) throw new Error('Usage: qbd vendors search <name>');
+  const result = await client.matchVendor(query, { limit: parseInt(flags.limit, 10) || 10 });
+  if (flags.json) return result;
+
+  banner(`Vendor search: "${query}"`);
+  printTable(result.candidates, [
+    { label: 'Score', value: c => c.score.toFixed(2), align: 'right' },
+    { label: 'Vendor', value: c => c.name },
+    { label: 'ID', value: c => c.id },
+    { label: 'Pattern', value: c => c.patternFile || '-' }
+  ]);
+  console.log('');
+  console.log(result.match ? `Match: ${result.match.name} (${result.match.id})` : `No confident match${result.reason ? ` - ${result.reason}` : ''}`);
+  return result;
+}
+
+async function posOpen(client, { flags }) {
+  const vendor = await resolveVendor(client, requireFlag(flags, 'vendor'));
+  const pos = (await client.getActivePOs(vendor.id))
+    .sort((a, b) => b.transactionDate.localeCompare(a.transactionDate));
+  if (flags.json) return pos;
+
+  banner(`Open purchase orders: ${pos[0]?.vendor?.fullName || vendor.name}`);
+  printTable(pos, [
+    { label: 'PO', value: po => po.refNumber },
+    { label: 'Date', value: po => po.transactionDate },
+    { label: 'Total', value: po => money(po.totalAmount), align: 'right' },
+    { label: 'Lines', value: po => (po.lines || []).length, align: 'right' },
+    { label: 'Memo', value: po => po.memo || '' }
+  ]);
+  return pos;
+}
+
+async function billsFind(client, { flags }) {
+  const vendor = flags.vendor ? await resolveVendor(client, flags.vendor) : null;
+  if (!flags.ref && !vendor) {
+    throw new Error('Usage: qbd bills find --ref <refNumber> [--vendor <id | name>] | --vendor <id | name> [--days 365]');
+  }
+  const from = flags.ref ? null : daysAgo(parseInt(flags.days, 10) || 365);
+  const bills = (await client.cachedList('bills'))
+    .filter(b =>
+      (!flags.ref || b.refNumber === flags.ref) &&
+      (!vendor || b.vendor?.id === vendor.id) &&
+      (!from || b.transactionDate >= from)
+    )
+    .sort((a, b) => b.transactionDate.localeCompare(a.transactionDate));
+  if (flags.json) return bills;
+
+  banner(flags.ref ? `Bill #${flags.ref}` : `Bills: ${vendor.name}`);
+  printTable(bills, [
+    { label: 'Ref', value: b => b.refNumber },
+    { label: 'Date', value: b => b.transactionDate },
+    { label: 'Vendor', value: b => b.vendor?.fullName },
+    { label: 'Amount due', value: b => money(b.amountDue), align: 'right' },
+    { label: 'Paid', value: b => (b.isPaid ? 'yes' : 'no') },
+    { label: 'ID', value: b => b.id }
+  ]);
+  return bills;
+}
+
+function readPayload(flags) {
+  const file = requireFlag(flags, 'file');
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Cannot read ${file}: ${e.message}`);
+  }
+}
+
+function printCreated(label, created, dryRun, logFile) {
+  if (dryRun) {
+    console.log(`Dry run - ${label} not created. Request:`);
+    console.log(JSON.stringify(created.payload, null, 2));
+    console.log('');
+    console.log(`Logged to ${created.logFile}`);
+    console.log('Re-run with --yes to create it');
+    return;
+  }
+  console.log(`Created ${label} #${created.refNumber} (${created.id})`);
+  console.log(`Logged to ${logFile}`);
+}
+
+async function billCreate(client, { flags }) {
+  const payload = readPayload(flags);
+  const dryRun = !flags.yes || Boolean(flags['dry-run']);
+  const { bill, poMatch } = await client.createBillFromInvoice(payload, {
+    poNumber: flags.po || null,
+    allowUnlinked: Boolean(flags['allow-unlinked']),
+    dryRun
+  });
+  const result = { dryRun, bill, po: poMatch.confident ? { id: poMatch.po.id, refNumber: poMatch.po.refNumber } : null, logFile: client.lastLogFile };
+  if (flags.json) return result;
+
+  banner(`Bill #${payload.refNumber || '(no ref)'}${dryRun ? ' (dry run)' : ''}`);
+  console.log(result.po ? `Linked to PO ${result.po.refNumber}` : 'Not linked to a PO');
+  printCreated('bill', bill, dryRun, client.lastLogFile);
+  return result;
+}
+
+async function chargeCreate(client, { flags }) {
+  const payload = readPayload(flags);
+  const dryRun = !flags.yes || Boolean(flags['dry-run']);
+  const charge = await client.createCreditCardCharge(payload, { dryRun });
+  const result = { dryRun, charge, logFile: client.lastLogFile };
+  if (flags.json) return result;
+
+  banner(`Credit card charge #${payload.refNumber || '(no ref)'}${dryRun ? ' (dry run)' : ''}`);
+  printCreated('credit card charge', charge, dryRun, client.lastLogFile);
+  return result;
+}
+
+function patternsList({ flags }) {
+  const types = flags.type ? [flags.type] : ['vendor', 'customer'];
+  const rows = types.flatMap(type => loadPatterns(type).patterns.map(({ file, pattern }) => ({
+    type,
+    file,
+    name: pattern[type].name,
+    id: pattern[type].id,
+    lastUpdated: pattern._meta?.lastUpdated || null
+  })));
+  if (flags.json) return rows;
+
+  banner('Data Patterns');
+  printTable(rows, [
+    { label: 'Type', value: r => r.type },
+    { label: 'Name', value: r => r.name },
+    { label: 'ID', value: r => r.id },
+    { label: 'File', value: r => r.file },
+    { label: 'Updated', value: r => r.lastUpdated || '' }
+  ]);
+  return rows;
+}
+
+function patternsValidate({ flags }) {
+  const result = {};
+  let errorCount = 0;
+  ['vendor', 'customer'].forEach(type => {
+    const { patterns, errors } = loadPatterns(type);
+    result[type] = { valid: patterns.map(p => p.file), errors };
+    errorCount += errors.length;
+  });
+  if (errorCount > 0) process.exitCode = 1;
+  if (flags.json) return result;
+
+  banner('Data Pattern Validation');
+  Object.entries(result).forEach(([type, { valid, errors }]) => {
+    console.log(`[${type}] ${valid.length} valid pattern file(s)`);
+    errors.forEach(err => console.log(`    ERROR ${formatPatternError(err)}`));
+  });
+  console.log('');
+  console.log(errorCount > 0 ? `FAILED: ${errorCount} error(s) found` : 'All pattern files valid');
+  return result;
+}
+
+async function cacheStatus(client, { flags }) {
+  const rows = describeCache(client.cacheMaxAgeMinutes, client.cacheDir);
+  if (flags.json) return rows;
+
+  banner(`List cache (${client.cacheDir}, refreshed after ${client.cacheMaxAgeMinutes} min)`);
+  printTable(rows, [
+    { label: 'Resource', value: r => r.resource },
+    { label: 'Records', value: r => r.records, align: 'right' },
+    { label: 'Synced', value: r => r.syncedAt || 'never' },
+    { label: 'Age (min)', value: r => r.ageMinutes ?? '', align: 'right' },
+    { label: 'State', value: r => (r.stale ? 'stale' : 'fresh') }
+  ]);
+  return rows;
+}
+
+async function cacheSync(client, { flags }) {
+  const resources = flags.resource ? flags.resource.split(',') : Object.keys(CACHED_RESOURCES);
+  if (!flags.json) banner(`Cache sync${flags.full ? ' (full)' : ''}`);
+  const maxPages = flags['max-pages'] ? parseInt(flags['max-pages'], 10) : client.maxPages;
+  if (!(maxPages > 0)) throw new Error('--max-pages must be a positive number');
+  return client.syncCache(resources, { full: Boolean(flags.full), maxPages });
+}
+
+// "<command> <subcommand>" -> handler; client commands get (client, args)
+const COMMANDS = {
+  'status': { run: status, client: true },
+  'vendors search': { run: vendorsSearch, client: true },
+  'pos open': { run: posOpen, client: true },
+  'bills find': { run: billsFind, client: true },
+  'bill create': { run: billCreate, client: true },
+  'charge create': { run: chargeCreate, client: true },
+  'patterns list': { run: patternsList, client: false },
+  'patterns validate': { run: patternsValidate, client: false },
+  'cache status': { run: cacheStatus, client: true },
+  'cache sync': { run: cacheSync, client: true }
+};
+
+function usage() {
+  return 'Usage: qbd <command> [--json] [--live]\n' + Object.keys(COMMANDS).map(name => `  qbd ${name}`).join('\n');
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exit(1);
+  }
+
+  const [first, second] = args.positional;
+  const name = COMMANDS[first] ? first : `${first} ${second}`;
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(usage());
+    process.exit(1);
+  }
+  args.positional = args.positional.slice(name.split(' ').length);
+
+  // Client progress lines ([LOG], [PO], ...) go to stderr so --json output stays parseable
+  const print = console.log;
+  if (args.flags.json) console.log = console.error;
+
+  try {
+    const result = command.client
+      ? await command.run(new ConductorClient(undefined, undefined, { cache: !args.flags.live }), args)
+      : command.run(args);
+    if (args.flags.json) print(JSON.stringify(result, null, 2));
+  } catch (error) {
+    console.error('ERROR:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { allocateTotal, needsConversion, convertItemLines } = require('../lib/currency');
+
+const cents = amounts => amounts.reduce((sum, a) => sum + Math.round(parseFloat(a) * 100), 0);
+
+test('allocateTotal splits a total to the cent', () => {
+  const shares = allocateTotal([33.33, 33.33, 33.34], 50);
+  assert.strictEqual(cents(shares), 5000);
+  assert.deepStrictEqual(shares, [16.67, 16.66, 16.67]);
+});
+
+test('allocateTotal gives leftover cents to the largest remainders', () => {
+  const shares = allocateTotal([10, 10, 10], 10);
+  assert.deepStrictEqual(shares, [3.34, 3.33, 3.33]);
+});
+
+test('allocateTotal refuses lines that add up to 0', () => {
+  assert.throws(() => allocateTotal([0, 0], 10), { code: 'CONVERSION_FAILED' });
+});
+
+test('convertItemLines books the lines at exactly the charged amount', () => {
+  const lines = [
+    { description: 'Bolts', quantity: 4, amount: '10.00' },
+    { description: 'Nuts', quantity: 3, amount: '10.00' },
+    { description: 'Shipping', amount: '10.00' }
+  ];
+  const { itemLines, conversion } = convertItemLines(lines, '13.99');
+
+  assert.strictEqual(cents(itemLines.map(line => line.amount)), 1399);
+  assert.ok(itemLines.every(line => line.quantity === 1));
+  assert.strictEqual(itemLines[0].description, 'Bolts');
+  assert.deepStrictEqual(conversion, { from: 'USD', to: 'CAD', rate: 0.4663, sourceTotal: 30, chargedAmount: 13.99, linesTotal: 13.99 });
+});
+
+test('convertItemLines leaves receipt tax out of the lines', () => {
+  const lines = [{ amount: '60.00' }, { amount: '40.00' }];
+  const { itemLines, conversion } = convertItemLines(lines, 150, { sourceTotal: 113 });
+
+  assert.strictEqual(conversion.linesTotal, 132.74);
+  assert.strictEqual(cents(itemLines.map(line => line.amount)), 13274);
+});
+
+test('convertItemLines needs the charged amount', () => {
+  assert.throws(() => convertItemLines([{ amount: '10.00' }], ''), { code: 'MISSING_CHARGED_AMOUNT' });
+  assert.throws(() => convertItemLines([{ amount: '10.00' }], 0), { code: 'MISSING_CHARGED_AMOUNT' });
+});
+
+test('needsConversion only for opted-in vendors billing in another currency', () => {
+  const pattern = { currency: { autoConvert: true, invoiceCurrency: 'USD', bookCurrency: 'CAD' } };
+  assert.strictEqual(needsConversion(pattern), true);
+  assert.strictEqual(needsConversion(pattern, 'CAD'), false);
+  assert.strictEqual(needsConversion({ currency: { ...pattern.currency, autoConvert: false } }), false);
+  assert.strictEqual(needsConversion({}), false);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qbd-test-'));
+process.env.CONDUCTOR_LOGS_DIR = path.join(tmpDir, 'logs');
+process.env.CONDUCTOR_CACHE_DIR = path.join(tmpDir, 'cache');
+
+const ConductorClient = require('../conductor-client');
+const { MockConductorServer } = require('../lib/mock-server');
+const { DuplicateTransactionError } = require('../lib/errors');
+
+const EXISTING = {
+  id: 'CC-1',
+  objectType: 'qbd_credit_card_charge',
+  refNumber: '58624142',
+  payee: { id: 'V-1', fullName: 'McMaster-Carr' },
+  transactionDate: '2024-03-05',
+  updatedAt: '2024-03-05T12:00:00.000Z',
+  amount: '50.00',
+  itemLines: [{ description: 'Bolts', quantity: 1, amount: '30.00' }, { description: 'Shipping', quantity: 1, amount: '20.00' }]
+};
+
+function charge(overrides = {}) {
+  return {
+    payeeId: 'V-1',
+    refNumber: EXISTING.refNumber,
+    transactionDate: EXISTING.transactionDate,
+    itemLines: [{ description: 'Bolts', quantity: 1, amount: '30.00' }, { description: 'Shipping', quantity: 1, amount: '20.00' }],
+    ...overrides
+  };
+}
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = new MockConductorServer({ seed: false });
+  baseUrl = await server.listen(0);
+});
+
+test.beforeEach(() => {
+  server._collection('credit-card-charges').clear();
+  server._collection('credit-card-charges').set(EXISTING.id, { ...EXISTING });
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const client = (options = {}) => new ConductorClient('test', 'test', { baseUrl, maxRetries: 0, ...options });
+const chargeCount = () => server._collection('credit-card-charges').size;
+
+test('refuses a charge with the same ref number, however old', async () => {
+  await assert.rejects(client().createCreditCardCharge(charge(), { skipRuleCheck: true }), error => {
+    assert.ok(error instanceof DuplicateTransactionError);
+    assert.strictEqual(error.code, 'DUPLICATE_CREDIT_CARD_CHARGE');
+    assert.strictEqual(error.existing.id, 'CC-1');
+    return true;
+  });
+  assert.strictEqual(chargeCount(), 1);
+});
+
+test('refuses a suffixed re-post with the same payee, date and total', async () => {
+  await assert.rejects(
+    client().createCreditCardCharge(charge({ refNumber: '58624142-R' }), { skipRuleCheck: true }),
+    { code: 'DUPLICATE_CREDIT_CARD_CHARGE' }
+  );
+  assert.strictEqual(chargeCount(), 1);
+});
+
+test('posts a suffixed ref number when the total differs', async () => {
+  const created = await client().createCreditCardCharge(
+    charge({ refNumber: '58624142-R', itemLines: [{ description: 'Bolts', quantity: 1, amount: '12.00' }] }),
+    { skipRuleCheck: true }
+  );
+  assert.strictEqual(created.refNumber, '58624142-R');
+  assert.strictEqual(chargeCount(), 2);
+});
+
+test('posts the same ref number for another payee', async () => {
+  await client().createCreditCardCharge(charge({ payeeId: 'V-2' }), { skipRuleCheck: true });
+  assert.strictEqual(chargeCount(), 2);
+});
+
+test('a duplicate search cut short by the page cap fails instead of posting', async () => {
+  const charges = server._collection('credit-card-charges');
+  for (let i = 0; i < 3; i++) {
+    charges.set(`CC-OTHER-${i}`, { ...EXISTING, id: `CC-OTHER-${i}`, refNumber: `OTHER-${i}` });
+  }
+
+  await assert.rejects(
+    client({ pageSize: 1, maxPages: 1 }).createCreditCardCharge(charge({ refNumber: 'NEW-1' }), { skipRuleCheck: true }),
+    { code: 'DUPLICATE_CHECK_INCOMPLETE' }
+  );
+  assert.strictEqual(charges.size, 4);
+});
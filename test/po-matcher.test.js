@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { matchPurchaseOrder } = require('../lib/po-matcher');
+
+function purchaseOrder({ id = 'PO-A', refNumber = '7101', received = 0 } = {}) {
+  return {
+    id,
+    refNumber,
+    transactionDate: '2026-01-10',
+    totalAmount: '141.25',
+    lines: [
+      { id: `${id}-1`, description: '45170-0390-15 Waterjet plate', quantity: 10, receivedQuantity: received, rate: '12.50' },
+      { id: `${id}-tax`, item: { fullName: 'HST ON' }, description: 'HST', quantity: 1, rate: '16.25' }
+    ]
+  };
+}
+
+function bill(lines) {
+  return { vendorId: 'V1', refNumber: 'INV-1', itemLines: lines };
+}
+
+const plate = (quantity = 10, cost = '12.50') =>
+  ({ description: '45170-0390-15 Waterjet plate', quantity, cost, amount: (quantity * parseFloat(cost)).toFixed(2) });
+
+test('links each bill line to its PO line when the match is confident', () => {
+  const report = matchPurchaseOrder(bill([plate()]), [purchaseOrder()], { poNumber: '7101' });
+
+  assert.strictEqual(report.confident, true);
+  assert.strictEqual(report.confidence, 1);
+  assert.deepStrictEqual(report.variances, []);
+  assert.deepStrictEqual(report.lineLinks, [{ billIndex: 0, transactionId: 'PO-A', transactionLineId: 'PO-A-1' }]);
+  assert.deepStrictEqual(report.unbilledLines, []);
+});
+
+test('freight on the invoice is posted unlinked, not a variance', () => {
+  const report = matchPurchaseOrder(
+    bill([plate(), { description: 'Freight', quantity: 1, amount: '20.00' }]),
+    [purchaseOrder()],
+    { poNumber: '7101' }
+  );
+
+  assert.strictEqual(report.confident, true);
+  assert.deepStrictEqual(report.variances, []);
+  assert.deepStrictEqual(report.additionalLines, [{ line: 2, description: 'Freight' }]);
+  assert.strictEqual(report.lineLinks.length, 1);
+});
+
+test('reports quantity past what is still open on the PO line', () => {
+  const report = matchPurchaseOrder(bill([plate()]), [purchaseOrder({ received: 4 })], { poNumber: '7101' });
+
+  assert.deepStrictEqual(
+    report.variances.map(v => [v.field, v.invoice, v.ordered, v.received]),
+    [['quantity', 10, 10, 4]]
+  );
+});
+
+test('reports a rate outside the tolerance', () => {
+  const withinTolerance = matchPurchaseOrder(bill([plate(10, '12.60')]), [purchaseOrder()], { poNumber: '7101' });
+  assert.deepStrictEqual(withinTolerance.variances, []);
+
+  const report = matchPurchaseOrder(bill([plate(10, '13.00')]), [purchaseOrder()], { poNumber: '7101' });
+  assert.deepStrictEqual(report.variances.map(v => [v.field, v.invoice, v.po]), [['rate', 13, 12.5]]);
+});
+
+test('an invoice line that is not on the PO is a variance', () => {
+  const report = matchPurchaseOrder(
+    bill([plate(), { description: 'Deburring', quantity: 1, amount: '35.00' }]),
+    [purchaseOrder()],
+    { poNumber: '7101' }
+  );
+
+  assert.deepStrictEqual(report.variances.map(v => [v.line, v.field]), [[2, 'line']]);
+});
+
+test('a PO number alone is not enough to link', () => {
+  const report = matchPurchaseOrder(
+    bill([{ description: 'Laser cutting', quantity: 1, amount: '80.00' }]),
+    [purchaseOrder()],
+    { poNumber: '7101' }
+  );
+
+  assert.strictEqual(report.confident, false);
+  assert.strictEqual(report.confidence, 0.4);
+  assert.match(report.reason, /need 0\.6/);
+});
+
+test('two POs that match equally well are not linked', () => {
+  const report = matchPurchaseOrder(
+    bill([plate()]),
+    [purchaseOrder({ id: 'PO-A', refNumber: '7101' }), purchaseOrder({ id: 'PO-B', refNumber: '7102' })],
+    { poNumber: 'Verbal' }
+  );
+
+  assert.strictEqual(report.confident, false);
+  assert.strictEqual(report.candidates.length, 2);
+  assert.match(report.reason, /match about equally well/);
+});
+
+test('no PO in common with the invoice', () => {
+  const report = matchPurchaseOrder(
+    bill([{ description: 'Laser cutting', quantity: 1, amount: '80.00' }]),
+    [purchaseOrder()],
+    { poNumber: 'Verbal' }
+  );
+
+  assert.strictEqual(report.po, null);
+  assert.strictEqual(report.confident, false);
+  assert.deepStrictEqual(report.lineLinks, []);
+});
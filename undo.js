@@ -0,0 +1,96 @@
+/**
+ * Reverse a logged write
+ *
+ * Run: node undo.js <logFile | refNumber> [--entity credit_card_charges] [--void] [--force] [--unlink] [--yes] [--dry-run]
+ * Shows what the write did and how it will be reversed; nothing changes without --yes.
+ * Created transactions are deleted (--void keeps them with zeroed lines and a VOID memo),
+ * created vendors are made inactive, updates and voids are restored from the log's
+ * "before" snapshot. The reversal is logged with "undoOf" pointing at the original log.
+ * --force undoes a record that was changed in QuickBooks after the logged write.
+ * --unlink restores lines that were received against a PO without their PO link
+ * (refused otherwise - the PO received quantities are not put back).
+ */
+
+const ConductorClient = require('./conductor-client');
+
+function parseArgs(argv) {
+  const args = { target: null, entity: null, mode: 'delete', force: false, unlink: false, yes: false, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--entity') args.entity = argv[++i];
+    else if (argv[i] === '--void') args.mode = 'void';
+    else if (argv[i] === '--force') args.force = true;
+    else if (argv[i] === '--unlink') args.unlink = true;
+    else if (argv[i] === '--yes') args.yes = true;
+    else if (argv[i] === '--dry-run') args.dryRun = true;
+    else args.target = argv[i];
+  }
+  return args;
+}
+
+function describeRecord(record) {
+  const party = record.vendor || record.payee || record.customer;
+  const amount = record.totalAmount ?? record.amount ?? record.amountDue;
+  return [
+    record.refNumber ? `#${record.refNumber}` : record.name,
+    party?.fullName,
+    record.transactionDate,
+    amount !== undefined && amount !== null ? `$${amount}` : null,
+    record.memo ? `memo "${record.memo}"` : null
+  ].filter(Boolean).join('  ');
+}
+
+function describePlan(plan) {
+  if (plan.kind === 'delete') return `DELETE ${plan.resource} ${plan.id}`;
+  if (plan.kind === 'void') return `VOID ${plan.resource} ${plan.id} (lines zeroed, memo "VOID")`;
+  if (plan.kind === 'deactivate') return `MAKE INACTIVE ${plan.resource} ${plan.id}`;
+  const fields = Object.entries(plan.changes).map(([key, value]) =>
+    Array.isArray(value) ? `${key} (${value.length} line(s))` : `${key} = ${JSON.stringify(value)}`
+  );
+  return `RESTORE ${plan.resource} ${plan.id}: ${fields.join(', ')}`;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.target) {
+    console.error('Usage: node undo.js <logFile | refNumber> [--entity <entity>] [--void] [--force] [--unlink] [--yes] [--dry-run]');
+    process.exit(1);
+  }
+
+  console.log('='.repeat(60));
+  console.log(`Undo: ${args.target}`);
+  console.log('='.repeat(60));
+  console.log('');
+
+  try {
+    const client = new ConductorClient();
+    const plan = await client.planUndo(args.target, { entity: args.entity, mode: args.mode, unlink: args.unlink });
+    const { entry } = plan;
+
+    console.log(`Log:      ${plan.file}`);
+    console.log(`Write:    ${entry.action} ${entry.entity} at ${entry.timestamp} (${entry.status})`);
+    console.log(`Now:      ${describeRecord(plan.current)}`);
+    console.log(`Undo:     ${describePlan(plan)}`);
+    if (plan.stale) {
+      console.log('');
+      console.log(`  WARNING: changed in QuickBooks since this write (revision ${entry.response.revisionNumber} -> ${plan.current.revisionNumber})`);
+    }
+    if (plan.unlinks?.length > 0) {
+      console.log('');
+      console.log(`  WARNING: lines come back WITHOUT their link to ${plan.unlinks.join(', ')} - the PO received quantities are not restored`);
+    }
+    console.log('');
+
+    if (!args.yes && !args.dryRun) {
+      console.log('Nothing changed - re-run with --yes to apply (or --dry-run to preview the request)');
+      return;
+    }
+
+    await client.undo(args.target, { entity: args.entity, mode: args.mode, force: args.force, unlink: args.unlink, dryRun: args.dryRun });
+    console.log(args.dryRun ? `Dry run logged to ${client.lastLogFile}` : `Done - reversal logged to ${client.lastLogFile}`);
+  } catch (error) {
+    console.error('ERROR:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
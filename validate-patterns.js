@@ -0,0 +1,41 @@
+/**
+ * Validate dataPatterns/vendor_*.json and customer_*.json files
+ *
+ * Run: node validate-patterns.js
+ * Exits with code 1 if any pattern file has errors
+ */
+
+const { loadPatterns, formatPatternError } = require('./lib/pattern-loader');
+
+function main() {
+  console.log('='.repeat(60));
+  console.log('Data Pattern Validation');
+  console.log('='.repeat(60));
+  console.log('');
+
+  let errorCount = 0;
+
+  for (const entityType of ['vendor', 'customer']) {
+    const { patterns, errors } = loadPatterns(entityType);
+
+    console.log(`[${entityType}] ${patterns.length} valid pattern file(s)`);
+    patterns.forEach(({ file, pattern }) => {
+      console.log(`    OK    ${file} (${pattern[entityType].name}, ${pattern[entityType].id})`);
+    });
+    errors.forEach(err => {
+      console.log(`    ERROR ${formatPatternError(err)}`);
+    });
+    console.log('');
+
+    errorCount += errors.length;
+  }
+
+  if (errorCount > 0) {
+    console.error(`FAILED: ${errorCount} error(s) found`);
+    process.exit(1);
+  }
+
+  console.log('All pattern files valid');
+}
+
+main();